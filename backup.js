@@ -0,0 +1,98 @@
+// backup.js
+// File format helpers for the database backup and restore actions. A backup
+// is either JSON ({ dbType, database, createdAt, collections: [{ name, rows, ... }] },
+// MongoDB types kept as Extended JSON) or, for SQL databases, a plain SQL
+// script. Either can be gzipped.
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { EJSON } = require('mongoose').mongo.BSON;
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const FORMATS = ['json', 'sql'];
+
+// 2026-10-19T08-30-00, safe in file names on every platform
+function timestamp(date = new Date()) {
+    return date.toISOString().replace(/\.\d+Z$/, '').replace(/:/g, '-');
+}
+
+// Applies the include/exclude lists of an operation to collection or table names
+function filterNames(names, { include, exclude } = {}) {
+    return names.filter(name =>
+        (!include || include.length === 0 || include.includes(name)) &&
+        !(exclude || []).includes(name)
+    );
+}
+
+function backupFormat(operation) {
+    if (operation.format) {
+        if (!FORMATS.includes(operation.format)) {
+            throw new Error(`Unsupported backup format: ${operation.format} (use ${FORMATS.join(' or ')})`);
+        }
+        return operation.format;
+    }
+    const extension = path.extname((operation.output || '').replace(/\.gz$/, '')).slice(1);
+    return FORMATS.includes(extension) ? extension : 'json';
+}
+
+// `output` may name a file or a directory; directories (and the default
+// ./backups) get a timestamped file name
+function backupPath(operation, database, format, date = new Date()) {
+    const compress = Boolean(operation.gzip) || /\.gz$/.test(operation.output || '');
+    const output = operation.output || 'backups';
+
+    if (path.extname(output) && !/[\\/]$/.test(output)) {
+        return compress && !output.endsWith('.gz') ? `${output}.gz` : output;
+    }
+
+    const safeName = String(database || 'database').replace(/[^\w.-]+/g, '_');
+    return path.join(output, `${safeName}-${timestamp(date)}.${format}${compress ? '.gz' : ''}`);
+}
+
+async function encodeBackup(content, compress) {
+    const buffer = Buffer.from(content, 'utf8');
+    return compress ? gzip(buffer) : buffer;
+}
+
+// Gzipped files are recognised by their magic bytes, not only the extension
+async function decodeBackup(buffer) {
+    const data = buffer[0] === 0x1f && buffer[1] === 0x8b ? await gunzip(buffer) : buffer;
+    return data.toString('utf8');
+}
+
+function stringifyBackup(backup) {
+    return backup.dbType === 'mongodb'
+        ? EJSON.stringify(backup, null, 2, { relaxed: true })
+        : JSON.stringify(backup, null, 2);
+}
+
+// Returns the parsed JSON backup, or { format: 'sql', script } for SQL scripts
+function parseBackup(text) {
+    if (!/^\s*\{/.test(text)) {
+        return { format: 'sql', script: text };
+    }
+
+    let backup;
+    try {
+        backup = EJSON.parse(text, { relaxed: true });
+    } catch (error) {
+        throw new Error(`Backup file is not valid JSON: ${error.message}`);
+    }
+    if (!backup.dbType || !Array.isArray(backup.collections)) {
+        throw new Error('Backup file is missing dbType or collections');
+    }
+    return { format: 'json', ...backup };
+}
+
+module.exports = {
+    timestamp,
+    filterNames,
+    backupFormat,
+    backupPath,
+    encodeBackup,
+    decodeBackup,
+    stringifyBackup,
+    parseBackup
+};
@@ -0,0 +1,108 @@
+// cli.js
+// Command line arguments for non-interactive use from Makefiles, CI and hooks.
+
+const EXIT_CODES = {
+    success: 0,
+    failure: 1,
+    usage: 2,
+    notApproved: 3
+};
+
+const USAGE = `Usage:
+  slave [--cwd <dir>]                      Start the interactive shell
+  slave run "<command>" [options]          Run one command and exit
+  slave exec <plan.json> [options]         Run a saved plan without calling the model
+  slave script <tasks.txt> [options]       Run a file of commands, one per line
+
+Options:
+  -y, --yes        Approve the plan without asking (needed when not on a terminal)
+  --dry-run        Print what would run without running it
+  --heal           Ask the AI for a fix when a step fails (see selfHeal in the config)
+  --json           Print the result as JSON on stdout (progress goes to stderr)
+  --timeout <s>    Stop a command step that runs longer than this many seconds
+  --cwd <dir>      Run in this directory
+  -h, --help       Show this help
+
+Exit codes:
+  0  success
+  1  a command or plan step failed
+  2  invalid arguments
+  3  the plan was cancelled or needs approval (use --yes)`;
+
+const MODES = ['run', 'exec', 'script'];
+
+function parseTimeout(value) {
+    if (!/^\d+$/.test(value || '')) throw new Error('--timeout needs a number of seconds');
+    return parseInt(value, 10);
+}
+
+// Returns { mode, target, options }. Throws on invalid arguments.
+function parseArgs(argv) {
+    const options = { yes: false, dryRun: false, heal: false, json: false, cwd: null, timeout: null };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        switch(arg) {
+            case '-y':
+            case '--yes':
+                options.yes = true;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--heal':
+                options.heal = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--cwd':
+                options.cwd = argv[++i];
+                if (!options.cwd) throw new Error('--cwd needs a directory');
+                break;
+            case '--timeout':
+                options.timeout = parseTimeout(argv[++i]);
+                break;
+            case '-h':
+            case '--help':
+                return { mode: 'help', options };
+            default:
+                if (arg.startsWith('--cwd=')) {
+                    options.cwd = arg.slice('--cwd='.length);
+                } else if (arg.startsWith('--timeout=')) {
+                    options.timeout = parseTimeout(arg.slice('--timeout='.length));
+                } else if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg} (quote the command if it contains options)`);
+                } else {
+                    positional.push(arg);
+                }
+        }
+    }
+
+    if (positional.length === 0) {
+        return { mode: 'interactive', options };
+    }
+
+    const [mode, ...rest] = positional;
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown command: ${mode}`);
+    }
+    if (rest.length === 0) {
+        throw new Error(`slave ${mode} needs ${mode === 'run' ? 'a command' : 'a file'}`);
+    }
+
+    // `slave run git init karo` works without quotes too
+    return { mode, target: mode === 'run' ? rest.join(' ') : rest[0], options };
+}
+
+// Script files: one command per line, blank lines and # comments are ignored
+function parseScript(text) {
+    return text
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
+
+module.exports = { EXIT_CODES, USAGE, parseArgs, parseScript };
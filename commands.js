@@ -0,0 +1,162 @@
+// commands.js
+// Builds the commands for git and package operations as { file, args } specs,
+// so the executor and the plan preview always agree on what will be run.
+// Everything that comes from the model is validated here, and nothing is ever
+// joined into a shell string.
+
+// name, @scope/name, with an optional @version, @tag or @range; never starting
+// with "-", which npm would read as an option
+const NPM_PACKAGE = /^(@[a-z0-9~][a-z0-9._~-]*\/)?[a-z0-9~][a-z0-9._~-]*(@[\w.^~<>=*|-]+)?$/i;
+
+// PEP 508 name with optional [extras] and version specifiers
+const PIP_VERSION = '(===|==|>=|<=|~=|!=|<|>)[\\w.*+!-]+';
+const PIP_PACKAGE = new RegExp(
+    `^[A-Za-z0-9]([A-Za-z0-9._-]*[A-Za-z0-9])?(\\[[A-Za-z0-9._,-]+\\])?(${PIP_VERSION}(,${PIP_VERSION})*)?$`
+);
+
+// Install options a plan may pass. Anything else (--global, --prefix=...,
+// --registry=..., --target=...) could install outside the project or from
+// somewhere else, so it is refused.
+const INSTALL_FLAGS = {
+    npm: [
+        '--save', '-S', '--save-dev', '-D', '--save-optional', '-O', '--save-peer', '--save-exact', '-E',
+        '--no-save', '--legacy-peer-deps', '--strict-peer-deps', '--ignore-scripts', '--no-audit', '--no-fund',
+        '--prefer-offline', '--production', '--omit=dev', '--omit=optional', '--omit=peer',
+        '--include=dev', '--include=optional', '--include=peer', '--force'
+    ],
+    pip: [
+        '--upgrade', '-U', '--no-deps', '--pre', '--quiet', '-q', '--no-cache-dir', '--force-reinstall',
+        '--upgrade-strategy=eager', '--upgrade-strategy=only-if-needed'
+    ]
+};
+const NPM_SCRIPT = /^[\w:.@/-]+$/;
+const REPOSITORY = /^(https?:\/\/|ssh:\/\/|git:\/\/|file:\/\/|git@)\S+$/;
+
+function validatePackages(manager, packages) {
+    const pattern = manager === 'pip' ? PIP_PACKAGE : NPM_PACKAGE;
+
+    for (const name of packages) {
+        if (typeof name !== 'string' || !pattern.test(name)) {
+            throw new Error(`Invalid ${manager} package name: ${name}`);
+        }
+    }
+    return packages;
+}
+
+// Splits an "options" string into flags, e.g. "--save-dev --legacy-peer-deps"
+function parseFlags(manager, options) {
+    const flags = (options || '').split(/\s+/).filter(Boolean);
+
+    for (const flag of flags) {
+        if (!INSTALL_FLAGS[manager].includes(flag)) {
+            throw new Error(`Option not allowed for ${manager} install: ${flag}`);
+        }
+    }
+    return flags;
+}
+
+// Follows the rules of `git check-ref-format --branch`, and refuses a leading
+// "+", which `git push origin +main` reads as a force push
+function validateBranchName(branch) {
+    const invalid = typeof branch !== 'string' ||
+        branch.length === 0 ||
+        branch === '@' ||
+        branch.startsWith('-') ||
+        branch.startsWith('+') ||
+        branch.startsWith('/') ||
+        branch.endsWith('/') ||
+        branch.endsWith('.') ||
+        branch.endsWith('.lock') ||
+        branch.includes('..') ||
+        branch.includes('//') ||
+        branch.includes('@{') ||
+        /[\x00-\x20\x7f~^:?*[\\]/.test(branch) ||
+        branch.split('/').some(part => part.startsWith('.'));
+
+    if (invalid) {
+        throw new Error(`Invalid branch name: ${branch}`);
+    }
+    return branch;
+}
+
+function validateRepository(repository) {
+    if (typeof repository !== 'string' || !REPOSITORY.test(repository)) {
+        throw new Error(`Invalid repository URL: ${repository}`);
+    }
+    return repository;
+}
+
+function gitCommand(operation) {
+    const { action, repository, branch, message } = operation;
+
+    switch(action) {
+        case 'init':
+            return { file: 'git', args: ['init'] };
+        case 'clone':
+            return { file: 'git', args: ['clone', '--', validateRepository(repository)] };
+        case 'add':
+            return { file: 'git', args: ['add', '.'] };
+        case 'commit':
+            return { file: 'git', args: ['commit', '-m', message || 'Commit by AI Agent'] };
+        case 'push':
+            return { file: 'git', args: ['push', 'origin', validateBranchName(branch || 'main')] };
+        case 'checkout':
+            return { file: 'git', args: ['checkout', validateBranchName(branch), '--'] };
+        default:
+            throw new Error(`Unsupported Git operation: ${action}`);
+    }
+}
+
+function packageCommand(operation) {
+    const { manager, action, options } = operation;
+    const packages = operation.packages || [];
+
+    switch(manager) {
+        case 'npm':
+            switch(action) {
+                case 'install':
+                    return { file: 'npm', args: ['install', ...validatePackages('npm', packages), ...parseFlags('npm', options)] };
+                case 'uninstall':
+                    return { file: 'npm', args: ['uninstall', ...validatePackages('npm', packages)] };
+                case 'update':
+                    return { file: 'npm', args: ['update', ...validatePackages('npm', packages)] };
+                case 'init':
+                    return { file: 'npm', args: ['init', '-y'] };
+                case 'run': {
+                    // "test -- --watch": the script name, then arguments for the script.
+                    // They always go after "--", so npm never reads them as its own options.
+                    const [script, ...rest] = (options || '').split(/\s+/).filter(Boolean);
+                    if (!script || !NPM_SCRIPT.test(script) || script.startsWith('-')) {
+                        throw new Error(`Invalid npm script name: ${script}`);
+                    }
+                    const scriptArgs = rest[0] === '--' ? rest.slice(1) : rest;
+                    return { file: 'npm', args: ['run', script, ...(scriptArgs.length > 0 ? ['--', ...scriptArgs] : [])] };
+                }
+                default:
+                    throw new Error(`Unsupported NPM action: ${action}`);
+            }
+
+        case 'pip':
+            switch(action) {
+                case 'install':
+                    return { file: 'pip', args: ['install', ...validatePackages('pip', packages), ...parseFlags('pip', options)] };
+                case 'uninstall':
+                    return { file: 'pip', args: ['uninstall', '-y', ...validatePackages('pip', packages)] };
+                case 'update':
+                    return { file: 'pip', args: ['install', '--upgrade', ...validatePackages('pip', packages)] };
+                default:
+                    throw new Error(`Unsupported pip action: ${action}`);
+            }
+
+        default:
+            throw new Error(`Unsupported package manager: ${manager}`);
+    }
+}
+
+module.exports = {
+    gitCommand,
+    packageCommand,
+    validateBranchName,
+    validatePackages,
+    validateRepository
+};
@@ -1,21 +1,387 @@
-const Configstore = require('configstore');
-const readline = require('readline-sync');
+// config.js
+// Settings are built from layers, each one overriding the one before:
+//   1. built-in defaults
+//   2. the global file, ~/.ai-agent-config.json
+//   3. the active profile from the global file's "profiles" (e.g. work, personal)
+//   4. .slaveshell.json in the project directory or one of its parents
+//   5. environment variables (SLAVESHELL_API_KEY, SLAVESHELL_PROVIDER, ...)
+// Objects are merged key by key, so a layer can set monitor.thresholds.cpu
+// alone. Every layer is checked against the schema, and an invalid setting is
+// reported and left to the layers below. Only the global file is ever written.
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const Ajv = require('ajv');
+const { PROVIDERS } = require('./providers.js');
+const { DEFAULT_DENIED_GLOBS } = require('./sandbox.js');
+const { DEFAULT_ROTATION } = require('./processLogs.js');
 
-const config = new Configstore('SlaveShell');
+const CONFIG_FILE = path.join(os.homedir(), '.ai-agent-config.json');
+const PROJECT_FILE = '.slaveshell.json';
 
-function getApiKey() {
-    let apiKey = config.get('gemini-api-key');
-    
-    if (!apiKey) {
-        console.log('🔑 Welcome to SlaveShell!');
-        console.log('You need to provide your Gemini API key once.');
-        console.log('Get it from: https://makersuite.google.com/app/apikey\n');
-        
-        apiKey = readline.question('Please enter your Gemini API key: ');
-        config.set('gemini-api-key', apiKey);
+function defaults() {
+    return {
+        apiKey: '',
+        provider: 'gemini',
+        providerModel: '',
+        providerBaseUrl: '',
+        providerApiKey: '',
+        defaultProjectsDir: path.join(os.homedir(), 'ai-projects'),
+        language: 'hindi',
+        planRepairAttempts: 2,
+        logLevel: 'info',
+        autoSave: true,
+        sandbox: {
+            allowedRoots: [],
+            deniedGlobs: DEFAULT_DENIED_GLOBS
+        },
+        processLogs: { ...DEFAULT_ROTATION },
+        agentLog: { maxSize: '5m', keep: 3 },
+        monitor: {
+            interval: 2000,
+            thresholds: { rssMb: null, cpu: null }
+        },
+        // what the prompt is told about the current directory (projectContext.js)
+        context: { enabled: true, maxTokens: 1000 },
+        // how much of the conversation so far the prompt includes (session.js)
+        session: { maxTurns: 5, maxTokens: 800 },
+        // ask the model for a fix when a step fails, at most maxAttempts times
+        selfHeal: { enabled: false, maxAttempts: 2 },
+        // how commands show their output (exec.js); timeout in seconds, 0 = none
+        exec: { output: 'collapse', lines: 8, timeout: 0 }
+    };
+}
+
+// Environment variable -> setting, with how to read its value
+const ENV_OVERRIDES = {
+    SLAVESHELL_API_KEY: ['apiKey', String],
+    SLAVESHELL_PROVIDER: ['provider', String],
+    SLAVESHELL_MODEL: ['providerModel', String],
+    SLAVESHELL_BASE_URL: ['providerBaseUrl', String],
+    SLAVESHELL_PROVIDER_API_KEY: ['providerApiKey', String],
+    SLAVESHELL_PROJECTS_DIR: ['defaultProjectsDir', String],
+    SLAVESHELL_LANGUAGE: ['language', String],
+    SLAVESHELL_LOG_LEVEL: ['logLevel', String],
+    SLAVESHELL_AUTO_SAVE: ['autoSave', value => !/^(0|false|no|off)$/i.test(value)]
+};
+
+// A project file comes with the repository, so it may not point the agent at
+// another server, swap credentials or widen the sandbox
+const PROJECT_IGNORED = ['apiKey', 'providerApiKey', 'providerBaseUrl', 'fixturesDir', 'defaultProjectsDir', 'sandbox.allowedRoots'];
+
+const rotationSchema = {
+    type: 'object',
+    properties: {
+        maxSize: { type: ['string', 'integer'] },
+        keep: { type: 'integer', minimum: 0 }
+    }
+};
+
+const settingsSchema = {
+    type: 'object',
+    properties: {
+        apiKey: { type: 'string' },
+        provider: { enum: PROVIDERS },
+        providerModel: { type: 'string' },
+        providerBaseUrl: { type: 'string' },
+        providerApiKey: { type: 'string' },
+        providerTimeout: { type: 'integer', minimum: 1000 },
+        fixturesDir: { type: 'string' },
+        defaultProjectsDir: { type: 'string', minLength: 1 },
+        language: { enum: ['hindi', 'english'] },
+        planRepairAttempts: { type: 'integer', minimum: 0, maximum: 10 },
+        logLevel: { enum: ['debug', 'info', 'warn', 'error', 'none'] },
+        autoSave: { type: 'boolean' },
+        sandbox: {
+            type: 'object',
+            properties: {
+                allowedRoots: { type: 'array', items: { type: 'string' } },
+                deniedGlobs: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        processLogs: rotationSchema,
+        agentLog: rotationSchema,
+        monitor: {
+            type: 'object',
+            properties: {
+                interval: { type: 'integer', minimum: 100 },
+                thresholds: {
+                    type: 'object',
+                    properties: {
+                        rssMb: { type: ['number', 'null'], exclusiveMinimum: 0 },
+                        cpu: { type: ['number', 'null'], exclusiveMinimum: 0 }
+                    }
+                }
+            }
+        },
+        context: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                maxTokens: { type: 'integer', minimum: 100 }
+            }
+        },
+        session: {
+            type: 'object',
+            properties: {
+                maxTurns: { type: 'integer', minimum: 0 },
+                maxTokens: { type: 'integer', minimum: 100 }
+            }
+        },
+        selfHeal: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                maxAttempts: { type: 'integer', minimum: 1, maximum: 10 }
+            }
+        },
+        exec: {
+            type: 'object',
+            properties: {
+                output: { enum: ['collapse', 'full'] },
+                lines: { type: 'integer', minimum: 1, maximum: 50 },
+                timeout: { type: 'integer', minimum: 0 }
+            }
+        }
+    }
+};
+
+const profileName = { type: 'string', pattern: '^[\\w-]+$' };
+
+const globalSchema = {
+    ...settingsSchema,
+    properties: {
+        ...settingsSchema.properties,
+        activeProfile: { anyOf: [profileName, { type: 'null' }] },
+        profiles: {
+            type: 'object',
+            propertyNames: profileName,
+            additionalProperties: settingsSchema
+        }
+    }
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateSettings = ajv.compile(settingsSchema);
+const validateGlobal = ajv.compile(globalSchema);
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function merge(base, layer) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(layer || {})) {
+        result[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+    }
+    return result;
+}
+
+function getPath(object, dotted) {
+    return dotted.split('.').reduce((value, key) => (isObject(value) ? value[key] : undefined), object);
+}
+
+function deletePath(object, dotted) {
+    const keys = dotted.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((value, key) => (isObject(value) ? value[key] : undefined), object);
+    if (isObject(parent)) delete parent[last];
+}
+
+// Drops the top-level settings that fail `validate` and returns a warning per error
+function dropInvalid(values, validate, source) {
+    if (validate(values)) return [];
+    const warnings = [];
+    const dropped = new Set();
+    for (const error of validate.errors) {
+        const [, key, ...rest] = error.instancePath.split('/');
+        if (!key) {
+            warnings.push(`${source}: ${error.message}`);
+            continue;
+        }
+        // a broken profile only loses the setting that is wrong
+        const setting = key === 'profiles' && rest.length > 1 ? `profiles.${rest[0]}.${rest[1]}` : key;
+        if (dropped.has(setting)) continue;
+        dropped.add(setting);
+        deletePath(values, setting);
+        warnings.push(`${source}: ${error.instancePath.slice(1).replace(/\//g, '.')} ${error.message}, ignored`);
+    }
+    return warnings;
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+}
+
+// The nearest project file in `dir` or one of its parents
+async function findProjectFile(dir) {
+    let current = path.resolve(dir);
+    while (true) {
+        const file = path.join(current, PROJECT_FILE);
+        try {
+            await fs.access(file);
+            return file;
+        } catch (error) {
+            const parent = path.dirname(current);
+            if (parent === current) return null;
+            current = parent;
+        }
+    }
+}
+
+class Config {
+    // options: file (the global file), env (defaults to process.env)
+    constructor(options = {}) {
+        this.file = options.file || CONFIG_FILE;
+        this.env = options.env || process.env;
+        this.global = {}; // the global file as written
+        this.valid = {}; // the same without its invalid settings
+        this.project = null; // { file, values }
+        this.warnings = [];
+        this.values = defaults();
+    }
+
+    // Reads the global file and the project file for `cwd`, and returns the merged settings
+    async load(cwd = process.cwd()) {
+        this.warnings = [];
+
+        try {
+            this.global = (await readJson(this.file)) || {};
+        } catch (error) {
+            this.global = {};
+            this.warnings.push(error.message);
+        }
+        this.warnings.push(...this._validateGlobal());
+
+        this.project = null;
+        try {
+            const file = await findProjectFile(cwd);
+            if (file) {
+                const values = (await readJson(file)) || {};
+                const ignored = PROJECT_IGNORED.filter(key => getPath(values, key) !== undefined);
+                for (const key of ignored) deletePath(values, key);
+                if (ignored.length > 0) {
+                    this.warnings.push(`${file}: ${ignored.join(', ')} can only be set in ${this.file}, ignored`);
+                }
+                this.warnings.push(...dropInvalid(values, validateSettings, file));
+                this.project = { file, values };
+            }
+        } catch (error) {
+            this.warnings.push(error.message);
+        }
+
+        const profile = this.profile;
+        if (profile && !(this.valid.profiles || {})[profile]) {
+            this.warnings.push(`No profile named ${profile}, using the global settings`);
+        }
+
+        this._merge();
+        return this.values;
+    }
+
+    // SLAVESHELL_PROFILE wins over the profile chosen in settings
+    get profile() {
+        return this.env.SLAVESHELL_PROFILE || this.valid.activeProfile || null;
+    }
+
+    profiles() {
+        return Object.keys(this.global.profiles || {});
+    }
+
+    _envLayer() {
+        const layer = {};
+        for (const [name, [key, parse]] of Object.entries(ENV_OVERRIDES)) {
+            if (this.env[name] !== undefined && this.env[name] !== '') layer[key] = parse(this.env[name]);
+        }
+        this.warnings.push(...dropInvalid(layer, validateSettings, 'environment'));
+        return layer;
+    }
+
+    // Invalid settings are left out of the merge but kept in the file, so
+    // saving other settings does not throw away what the user wrote
+    _validateGlobal() {
+        this.valid = JSON.parse(JSON.stringify(this.global));
+        return dropInvalid(this.valid, validateGlobal, this.file);
+    }
+
+    _globalLayer() {
+        const { profiles, activeProfile, ...settings } = this.valid;
+        return settings;
+    }
+
+    _profileLayer() {
+        return (this.valid.profiles || {})[this.profile] || {};
+    }
+
+    _merge() {
+        const inherited = merge(merge(defaults(), this._globalLayer()), this._profileLayer());
+        let values = inherited;
+        if (this.project) {
+            const project = this.project.values;
+            values = merge(inherited, project);
+            // project deniedGlobs add to the inherited ones instead of replacing them
+            if (project.sandbox && project.sandbox.deniedGlobs) {
+                values.sandbox.deniedGlobs = [...new Set([...inherited.sandbox.deniedGlobs, ...project.sandbox.deniedGlobs])];
+            }
+        }
+        this.values = merge(values, this._envLayer());
+    }
+
+    // Where the current value of a top-level setting comes from
+    source(key) {
+        const envName = Object.keys(ENV_OVERRIDES).find(name => ENV_OVERRIDES[name][0] === key);
+        if (envName && this.env[envName]) return `env ${envName}`;
+        if (this.project && this.project.values[key] !== undefined) return this.project.file;
+        if (this._profileLayer()[key] !== undefined) return `profile ${this.profile}`;
+        if (this.valid[key] !== undefined) return this.file;
+        return 'default';
+    }
+
+    async _save() {
+        await fs.writeFile(this.file, JSON.stringify(this.global, null, 2), { encoding: 'utf8', mode: 0o600 });
+        this.warnings = this._validateGlobal();
+        this._merge();
+    }
+
+    // Saves changed settings to the active profile, or to the global settings
+    // when no profile is active. Values from the environment or the project
+    // file are never written back.
+    async set(changes) {
+        if (!validateSettings(changes)) {
+            throw new Error(validateSettings.errors.map(error => `${error.instancePath.slice(1).replace(/\//g, '.')} ${error.message}`).join('\n'));
+        }
+
+        const profile = this.profile;
+        if (profile) {
+            this.global.profiles = this.global.profiles || {};
+            this.global.profiles[profile] = merge(this.global.profiles[profile] || {}, changes);
+        } else {
+            this.global = merge(this.global, changes);
+        }
+        await this._save();
+    }
+
+    // Makes `name` the active profile, creating it (empty, so it starts out
+    // with the global settings) if needed. null goes back to the global settings.
+    async useProfile(name) {
+        if (name) {
+            if (!/^[\w-]+$/.test(name)) throw new Error('Profile names may only contain letters, digits, _ and -');
+            this.global.profiles = this.global.profiles || {};
+            this.global.profiles[name] = this.global.profiles[name] || {};
+        }
+        this.global.activeProfile = name || null;
+        await this._save();
     }
-    
-    return apiKey;
 }
 
-module.exports = { getApiKey };
\ No newline at end of file
+module.exports = {
+    CONFIG_FILE,
+    PROJECT_FILE,
+    ENV_OVERRIDES,
+    defaults,
+    merge,
+    Config
+};
@@ -0,0 +1,326 @@
+// exec.js
+// Runs external programs. Git and package commands are spawned with argument
+// arrays so nothing in them is interpreted by a shell; a shell is only used
+// for explicit exec steps of a plan the user has approved.
+//
+// Output is streamed while the command runs. On a terminal the last few lines
+// scroll in a window under the command, which collapses to a single line with
+// the time taken once the command succeeds (set exec.output to "full" to keep
+// everything on screen); the full output of recent steps stays available
+// through recentOutputs(). Ctrl+C stops the running command, not the agent:
+// each command gets its own process group, which is what the signal goes to.
+const { spawn } = require('child_process');
+const chalk = require('chalk');
+
+const SPINNER = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+const REDRAW_INTERVAL = 100;
+// Time a command gets to exit after SIGTERM before it is killed
+const KILL_GRACE = 3000;
+// Output kept per step; longer output keeps its end
+const MAX_OUTPUT_CHARS = 1024 * 1024;
+// Steps whose output recentOutputs() remembers
+const MAX_RECENT = 20;
+// Lines shown under a failed command that was collapsed
+const FAILURE_LINES = 20;
+
+// Set from the exec section of the config (see configureExec)
+const settings = {
+    timeout: 0,
+    output: 'collapse',
+    lines: 8
+};
+
+const recent = [];
+let nextStepId = 1;
+
+function configureExec(options = {}) {
+    Object.assign(settings, options);
+}
+
+// Quotes a single argument for display, the way a POSIX shell would need it
+function quoteArg(arg) {
+    if (/^[\w@%+=:,./-]+$/.test(arg)) return arg;
+    return `'${String(arg).replace(/'/g, `'\\''`)}'`;
+}
+
+function formatCommand({ file, args }) {
+    return [file, ...args].map(quoteArg).join(' ');
+}
+
+function formatDuration(ms) {
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+// Colour codes and cursor movement from the program would break the window
+function plainLine(text) {
+    return text.replace(/\x1b\[[0-9;?]*[a-zA-Z]/g, '').replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+}
+
+// Appends to a string, keeping its last `max` characters
+function appendTail(text, chunk, max) {
+    const joined = text + chunk;
+    return joined.length > max ? joined.slice(-max) : joined;
+}
+
+// Splits streamed chunks into lines; "\r" (progress bars) ends a line too
+function lineSplitter(onLine) {
+    let partial = '';
+    return {
+        write(chunk) {
+            const parts = (partial + chunk).split(/\r\n|\r|\n/);
+            partial = parts.pop();
+            for (const line of parts) onLine(line);
+        },
+        flush() {
+            if (partial) onLine(partial);
+            partial = '';
+        }
+    };
+}
+
+// What the user sees while a command runs. `quiet` shows nothing; on a
+// terminal in collapse mode the last lines are redrawn in place, otherwise
+// every line is printed as it arrives. Everything goes to stderr, which keeps
+// stdout clean for --json.
+function progressView(label, mode) {
+    const stream = process.stderr;
+    const startTime = Date.now();
+    const live = mode === 'collapse' && stream.isTTY;
+    const window = [];
+    let drawn = 0;
+    let frame = 0;
+    let timer = null;
+
+    const header = symbol => `${symbol} ${label}`;
+    const elapsed = () => chalk.gray(`(${formatDuration(Date.now() - startTime)})`);
+    const formatLine = ({ text, isError }) => {
+        const line = `  │ ${text}`;
+        return isError ? chalk.yellow(line) : chalk.gray(line);
+    };
+
+    const clear = () => {
+        if (drawn > 0) stream.write(`\r\x1b[${drawn}A\x1b[0J`);
+        drawn = 0;
+    };
+
+    const draw = () => {
+        const width = (stream.columns || 80) - 1;
+        // lines must not wrap, or clear() would miss some
+        const shown = label.length > width - 16 ? `${label.slice(0, width - 17)}…` : label;
+        const lines = [
+            `${chalk.cyan(SPINNER[frame % SPINNER.length])} ${shown} ${elapsed()}`,
+            ...window.map(line => formatLine({ ...line, text: line.text.slice(0, width - 4) }))
+        ];
+        clear();
+        stream.write(lines.join('\n') + '\n');
+        drawn = lines.length;
+    };
+
+    if (mode !== 'quiet') {
+        if (live) {
+            draw();
+            timer = setInterval(() => {
+                frame++;
+                draw();
+            }, REDRAW_INTERVAL);
+        } else {
+            stream.write(chalk.cyan(header('▶')) + '\n');
+        }
+    }
+
+    return {
+        line(text, isError) {
+            if (mode === 'quiet') return;
+            const entry = { text: plainLine(text), isError };
+            if (!live) {
+                stream.write(formatLine(entry) + '\n');
+                return;
+            }
+            window.push(entry);
+            if (window.length > settings.lines) window.shift();
+        },
+        // lines: the end of the output and how many lines there were in all,
+        // shown after a failure
+        finish(ok, detail, lines, total) {
+            if (timer) clearInterval(timer);
+            if (mode === 'quiet') return;
+            if (live) clear();
+            if (ok) {
+                stream.write(`${chalk.green(header('✔'))} ${elapsed()}\n`);
+                return;
+            }
+            stream.write(`${chalk.red(header('✖'))} ${chalk.red(detail)} ${elapsed()}\n`);
+            if (live) {
+                if (total > lines.length) stream.write(chalk.gray(`  │ … ${total - lines.length} earlier lines (see the output command)\n`));
+                for (const line of lines) stream.write(formatLine(line) + '\n');
+            }
+        }
+    };
+}
+
+function remember(step) {
+    recent.push(step);
+    if (recent.length > MAX_RECENT) recent.shift();
+}
+
+// Sends a signal to the command's whole process group, so shells pass it on
+// to what they started
+function killGroup(child, signal) {
+    try {
+        process.kill(-child.pid, signal);
+    } catch (error) {
+        try {
+            child.kill(signal);
+        } catch (ignored) {
+            // already gone
+        }
+    }
+}
+
+// options.timeout: milliseconds before the command is stopped (0 = no limit);
+// options.output: "collapse", "full" or "quiet". Resolves with the trimmed
+// stdout; rejects with the end of stderr, or with error.cancelled set when
+// the user pressed Ctrl+C, or error.timedOut.
+function run(file, args, options, label) {
+    const timeout = options.timeout !== undefined ? options.timeout : settings.timeout * 1000;
+    const mode = options.output || settings.output;
+
+    return new Promise((resolve, reject) => {
+        const startTime = Date.now();
+        const view = progressView(label, mode);
+        const step = { id: nextStepId++, label, cwd: options.cwd, startedAt: new Date(startTime).toISOString(), output: '' };
+        const lines = [];
+        let lineCount = 0;
+        let stdout = '';
+        let stderr = '';
+        let stopped = null; // 'cancelled' or 'timedOut'
+        let killTimer = null;
+        let settled = false;
+
+        const child = spawn(file, args, {
+            cwd: options.cwd,
+            env: options.env || process.env,
+            shell: options.shell || false,
+            stdio: ['ignore', 'pipe', 'pipe'],
+            // own process group: Ctrl+C reaches the agent only, which stops this command
+            detached: process.platform !== 'win32'
+        });
+
+        const stop = reason => {
+            if (stopped) return;
+            stopped = reason;
+            killGroup(child, 'SIGTERM');
+            killTimer = setTimeout(() => killGroup(child, 'SIGKILL'), KILL_GRACE);
+        };
+
+        const onInterrupt = () => {
+            // back over the ^C the terminal echoed
+            process.stderr.write('\r');
+            stop('cancelled');
+        };
+        const timeoutTimer = timeout > 0 ? setTimeout(() => stop('timedOut'), timeout) : null;
+        if (mode !== 'quiet') process.on('SIGINT', onInterrupt);
+        const onExit = () => killGroup(child, 'SIGKILL');
+        process.on('exit', onExit);
+
+        const cleanup = () => {
+            clearTimeout(timeoutTimer);
+            clearTimeout(killTimer);
+            process.removeListener('SIGINT', onInterrupt);
+            process.removeListener('exit', onExit);
+        };
+
+        const splitter = isError => lineSplitter(text => {
+            lineCount++;
+            if (lines.length === FAILURE_LINES) lines.shift();
+            lines.push({ text: plainLine(text), isError });
+            view.line(text, isError);
+        });
+        const outLines = splitter(false);
+        const errLines = splitter(true);
+
+        child.stdout.on('data', chunk => {
+            const text = chunk.toString();
+            stdout = appendTail(stdout, text, MAX_OUTPUT_CHARS);
+            step.output = appendTail(step.output, text, MAX_OUTPUT_CHARS);
+            outLines.write(text);
+        });
+        child.stderr.on('data', chunk => {
+            const text = chunk.toString();
+            stderr = appendTail(stderr, text, MAX_OUTPUT_CHARS);
+            step.output = appendTail(step.output, text, MAX_OUTPUT_CHARS);
+            errLines.write(text);
+        });
+
+        // A spawn error (ENOENT) is followed by 'close' as well; report it once
+        const finish = (error, detail) => {
+            if (settled) return;
+            settled = true;
+            cleanup();
+            step.durationMs = Date.now() - startTime;
+            step.status = error ? (stopped || 'failed') : 'ok';
+            remember(step);
+            view.finish(!error, detail, lines, lineCount);
+            if (error) {
+                error.durationMs = step.durationMs;
+                reject(error);
+            } else {
+                resolve(stdout.trim());
+            }
+        };
+
+        child.on('error', error => {
+            finish(new Error(`${label}: ${error.code === 'ENOENT' ? `command not found: ${file}` : error.message}`), error.code || 'error');
+        });
+
+        child.on('close', (code, signal) => {
+            outLines.flush();
+            errLines.flush();
+            step.exitCode = code;
+            const took = formatDuration(Date.now() - startTime);
+
+            if (stopped === 'cancelled') {
+                const error = new Error(`Cancelled with Ctrl+C after ${took}: ${label}`);
+                error.cancelled = true;
+                finish(error, 'cancelled');
+                return;
+            }
+            if (stopped === 'timedOut') {
+                const error = new Error(`Timed out after ${formatDuration(timeout)}: ${label}${stderr ? `\n${stderr.slice(-2000)}` : ''}`);
+                error.timedOut = true;
+                finish(error, 'timed out');
+                return;
+            }
+            if (code !== 0) {
+                const status = code === null ? `signal ${signal}` : `exit code ${code}`;
+                finish(new Error(`Command failed (${status}): ${label}\n${stderr.slice(-4000)}`), status);
+                return;
+            }
+            finish(null);
+        });
+    });
+}
+
+// Runs a { file, args } command spec without a shell
+function runCommand(spec, options = {}) {
+    return run(spec.file, spec.args, options, formatCommand(spec));
+}
+
+// Runs a raw command line through the shell. Only allowed for commands that
+// come from a plan the user approved.
+function runShell(command, options = {}) {
+    if (!options.approved) {
+        return Promise.reject(new Error(`Refusing to run unapproved shell command: ${command}`));
+    }
+    return run(command, [], { ...options, shell: true }, command);
+}
+
+// The last steps run, oldest first: { id, label, cwd, startedAt, durationMs,
+// status, exitCode, output }
+function recentOutputs() {
+    return [...recent];
+}
+
+module.exports = { runCommand, runShell, formatCommand, quoteArg, formatDuration, configureExec, recentOutputs };
@@ -0,0 +1,96 @@
+// history.js
+// Persistent command history: every AI command with the plan it produced, the
+// directory it ran in, whether it succeeded and how long it took. Entries are
+// appended as JSON lines to ~/.slaveshell/history.jsonl and numbered like shell
+// history, so `!12` can run command 12 again with its cached plan.
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+class CommandHistory {
+    constructor(options = {}) {
+        this.file = options.file || path.join(os.homedir(), '.slaveshell', 'history.jsonl');
+        this.limit = options.limit || 1000;
+    }
+
+    async _load() {
+        let data;
+        try {
+            data = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const entries = [];
+        for (const line of data.split('\n').filter(Boolean)) {
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // a line cut short by a crash; skip it
+            }
+        }
+        return entries;
+    }
+
+    // Appends an entry ({ command, cwd, plan, outcome, durationMs, ... }) and
+    // returns it with its number. Once the file holds a tenth more than the
+    // limit, it is rewritten with the newest `limit` entries.
+    async add(entry) {
+        const entries = await this._load();
+        const last = entries[entries.length - 1];
+        const saved = { n: last ? last.n + 1 : 1, timestamp: new Date().toISOString(), ...entry };
+
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        if (entries.length + 1 > this.limit * 1.1) {
+            const kept = [...entries, saved].slice(-this.limit);
+            await fs.writeFile(this.file, kept.map(item => JSON.stringify(item)).join('\n') + '\n', 'utf8');
+        } else {
+            await fs.appendFile(this.file, JSON.stringify(saved) + '\n', 'utf8');
+        }
+        return saved;
+    }
+
+    // The last `count` entries, oldest first
+    async list(count = 20) {
+        return (await this._load()).slice(-count);
+    }
+
+    // Entries whose command or plan description contains `text` (case-insensitive)
+    async search(text, count = 20) {
+        const needle = text.toLowerCase();
+        const matches = (await this._load()).filter(entry =>
+            entry.command.toLowerCase().includes(needle) ||
+            (entry.description || '').toLowerCase().includes(needle));
+        return matches.slice(-count);
+    }
+
+    // "12" -> entry 12, "-1" or "!" -> the last entry, "-2" the one before
+    async get(reference) {
+        const entries = await this._load();
+        if (reference === '!' || /^-\d+$/.test(reference)) {
+            const offset = reference === '!' ? 1 : -parseInt(reference, 10);
+            return entries[entries.length - offset] || null;
+        }
+        const n = parseInt(reference, 10);
+        return entries.find(entry => entry.n === n) || null;
+    }
+
+    // Command texts, newest first and without repeats, for arrow-key recall
+    async commands(count = 200) {
+        const seen = new Set();
+        const commands = [];
+        for (const entry of (await this._load()).reverse()) {
+            if (seen.has(entry.command)) continue;
+            seen.add(entry.command);
+            commands.push(entry.command);
+            if (commands.length === count) break;
+        }
+        return commands;
+    }
+
+    async count() {
+        return (await this._load()).length;
+    }
+}
+
+module.exports = CommandHistory;
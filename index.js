@@ -1,68 +1,222 @@
 #!/usr/bin/env node
-const readline = require("readline-sync");
-const { exec, spawn } = require("child_process");
+const readline = require("readline");
+const { spawn } = require("child_process");
 const path = require('path');
 const fs = require('fs').promises;
-const chokidar = require('chokidar'); // For file watching
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const chalk = require('chalk'); // For colored console output
 const ora = require('ora'); // For spinners
 const inquirer = require('inquirer'); // For interactive prompts
 const os = require('os');
-const mongoose = require('mongoose'); // For MongoDB operations
-const logger = require('./logger.js')
+const { Console } = require('console');
+const crypto = require('crypto');
+const Logger = require('./logger.js');
+const Journal = require('./journal.js');
+const CommandHistory = require('./history.js');
+const Session = require('./session.js');
+const { describeEntry } = Journal;
+const { gitCommand, packageCommand } = require('./commands.js');
+const { runCommand, runShell, formatDuration, configureExec, recentOutputs } = require('./exec.js');
+const { supervise, stopSupervised, restartSupervised, removeSupervised, listSupervised } = require('./supervisor.js');
+const { splitGlob, parseWatchArgs, describeTrigger, WatchRule } = require('./watchRules.js');
+const { STACK_FILE, loadStacks, selectStack, processName: stackProcessName, startOrder, serviceEnv, waitForReady, describeReady } = require('./stacks.js');
+const { Monitor } = require('./monitor.js');
+const { NAME_COLORS, parseSize, parseSince, readLog, formatEntry, followLogs } = require('./processLogs.js');
+const { openSqlClient, runSqlOperation, sqliteFile, dumpTables, formatSqlDump, restoreTables } = require('./sqlDatabase.js');
+const { openMongoClient, runMongoOperation, dumpCollections, restoreCollections } = require('./mongoDatabase.js');
+const { backupFormat, backupPath, encodeBackup, decodeBackup, stringifyBackup, parseBackup } = require('./backup.js');
+const { createPolicy, checkPath } = require('./sandbox.js');
+const { reviewPlan, printPlan, printDryRun, listEffects, describeAction } = require('./planReview.js');
+const { validatePlan, parsePlanResponse } = require('./planSchema.js');
+const {
+    findPlaceholders,
+    fillPlaceholders,
+    parseParams,
+    saveRecipe,
+    loadRecipe,
+    listRecipes,
+    deleteRecipe,
+    editRecipe
+} = require('./recipes.js');
+const { EXIT_CODES, USAGE, parseArgs, parseScript } = require('./cli.js');
+const { PROVIDERS, defaults: providerDefaults, createProvider } = require('./providers.js');
+const { Config, defaults: configDefaults } = require('./config.js');
+const { collectContext } = require('./projectContext.js');
+const { SECRET_TYPES, registerSecret, redact, redactOutput, findSecretRefs, shellSecrets, SecretStore } = require('./secrets.js');
 
-// Configuration file
-const configPath = path.join(os.homedir(), '.ai-agent-config.json');
+// Global, profile, project and environment settings (see config.js)
+const settings = new Config();
 
 // Project state management
 const projectState = {
     currentDirectory: process.cwd(),
-    runningProcesses: new Map(),
-    history: [],
-    fileWatchers: new Map(),
+    history: new CommandHistory(),
+    session: new Session(), // recent turns of the conversation, sent with each prompt
+    lastPlan: null, // { command, plan } of the last generated plan, for `recipe save`
+    fileWatchers: new Map(), // watch rule id -> WatchRule (watchRules.js)
     databases: new Map(),
-    config: {
-        apiKey: '',
-        defaultProjectsDir: path.join(os.homedir(), 'ai-projects'),
-        language: 'hindi',
-        logLevel: 'info',
-        autoSave: true
-    },
-    logger: new logger()
+    config: configDefaults(),
+    // Structured agent log; the terminal output stays with the UI code
+    logger: new Logger({ console: false }),
+    journal: new Journal(),
+    secrets: new SecretStore()
 };
 
-// Initialize Google AI
-let genAI;
-let model;
+// Active LLM provider (see providers.js)
+let provider;
 
-async function initializeAI() {
-    try {
-        // Load config if exists
+// exec settings given on the command line (--timeout), over the config
+const execOverrides = {};
+
+// Loads the merged settings for the current directory and prints what was
+// wrong with them, once per message
+const reportedConfigWarnings = new Set();
+async function loadConfig() {
+    projectState.config = await settings.load(projectState.currentDirectory);
+    for (const warning of settings.warnings) {
+        if (reportedConfigWarnings.has(warning)) continue;
+        reportedConfigWarnings.add(warning);
+        console.error(chalk.yellow(`⚠️  Config: ${warning}`));
+    }
+    projectState.logger.logLevel = projectState.config.logLevel;
+    projectState.logger.rotation = { ...projectState.logger.rotation, ...projectState.config.agentLog };
+    configureExec({ ...projectState.config.exec, ...execOverrides });
+}
+
+// Short id tying together the log records of one command
+function newCommandId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+// Opens the secrets store with SLAVESHELL_PASSPHRASE or by asking for the
+// passphrase; the first time, this creates the store.
+async function unlockSecrets() {
+    const store = projectState.secrets;
+    if (store.unlocked) return;
+    
+    if (process.env.SLAVESHELL_PASSPHRASE) {
+        await store.unlock(process.env.SLAVESHELL_PASSPHRASE);
+        return;
+    }
+    if (!process.stdin.isTTY) {
+        throw new Error('The secrets store is locked. Set SLAVESHELL_PASSPHRASE to unlock it.');
+    }
+    
+    if (!await store.exists()) {
+        console.log(chalk.cyan(`🔐 Creating the encrypted secrets store (${store.file}). Choose a passphrase; it cannot be recovered.`));
+        const { passphrase } = await inquirer.prompt([{
+            type: 'password',
+            name: 'passphrase',
+            message: 'New passphrase:',
+            validate: input => input.length >= 8 ? true : 'Use at least 8 characters'
+        }, {
+            type: 'password',
+            name: 'confirm',
+            message: 'Repeat the passphrase:',
+            validate: (input, answers) => input === answers.passphrase ? true : 'The passphrases do not match'
+        }]);
+        await store.unlock(passphrase);
+        return;
+    }
+    
+    for (let attempt = 1; ; attempt++) {
+        const { passphrase } = await inquirer.prompt([{
+            type: 'password',
+            name: 'passphrase',
+            message: '🔐 Passphrase for the secrets store:'
+        }]);
         try {
-            const configData = await fs.readFile(configPath, 'utf8');
-            Object.assign(projectState.config, JSON.parse(configData));
+            await store.unlock(passphrase);
+            return;
         } catch (error) {
-            if (error.code !== 'ENOENT') {
-                console.error("Error loading config:", error.message);
-            }
+            if (attempt === 3) throw error;
+            console.error(chalk.red(error.message));
         }
+    }
+}
+
+// A copy of `value` with its {{secret:NAME}} references filled in
+async function resolveSecrets(value) {
+    if (findSecretRefs(value).length === 0) return value;
+    await unlockSecrets();
+    return projectState.secrets.resolve(value);
+}
+
+// The values of the secrets `value` refers to, by name, or undefined if none
+async function secretValues(value) {
+    const names = findSecretRefs(value);
+    if (names.length === 0) return undefined;
+    await unlockSecrets();
+    return Object.fromEntries(names.map(name => [name, projectState.secrets.get(name)]));
+}
+
+// Runs an approved shell command from a plan. Its secret references become
+// environment variables (see shellSecrets), so no value is pasted into the
+// command line.
+async function runPlanShell(command, options) {
+    if (findSecretRefs(command).length === 0) return runShell(command, options);
+    await unlockSecrets();
+    const { command: shellCommand, env } = shellSecrets(command, name => projectState.secrets.get(name));
+    return runShell(shellCommand, { ...options, env: { ...process.env, ...env } });
+}
 
-        // Ask for API key if not configured
-        if (!projectState.config.apiKey) {
+// An action with its secrets filled in, except in commands run through a
+// shell (runPlanShell passes those as environment variables) and the command
+// of a background process, which the supervisor saves, so it gets the
+// reference and the values separately (see startProcess)
+async function resolveAction(action) {
+    const resolved = await resolveSecrets(action);
+    const keepReference = (original, copy) => {
+        if (original.type === 'process-operation' && original.action === 'start') copy.command = original.command;
+        if (original.type === 'exec' && original.details) copy.details = { ...copy.details, command: original.details.command };
+        if (['build', 'config', 'upload', 'invoke'].includes(original.type) && original.command) copy.command = original.command;
+    };
+    keepReference(action, resolved);
+    (action.steps || []).forEach((step, index) => keepReference(step, resolved.steps[index]));
+    // open connections are kept (and named when closed) by the string the plan wrote
+    if (action.type === 'database-operation' && resolved !== action) resolved.connectionRef = action.connectionString;
+    return resolved;
+}
+
+// Stores a credential entered in settings as a secret and points the config
+// setting at it, so the config file never holds the value
+async function saveSecretSetting(key, secretName, value) {
+    await unlockSecrets();
+    await projectState.secrets.set(secretName, value, 'api-key');
+    return saveConfig({ [key]: `{{secret:${secretName}}}` });
+}
+
+// The config with secret references in the credential settings resolved
+async function providerConfig() {
+    const config = { ...projectState.config };
+    for (const key of ['apiKey', 'providerApiKey']) {
+        config[key] = await resolveSecrets(config[key]);
+        registerSecret(config[key]);
+    }
+    return config;
+}
+
+// options.interactive: false when running from the command line, where
+// nobody can be asked for a missing API key
+async function initializeAI(options = {}) {
+    try {
+        await loadConfig();
+
+        // Ask for API key if Gemini is used and not configured
+        if (projectState.config.provider === 'gemini' && !projectState.config.apiKey) {
+            if (options.interactive === false) {
+                throw new Error(`No Gemini API key configured. Run ${chalk.yellow('slave')} once to set it up.`);
+            }
             const { apiKey } = await inquirer.prompt([{
                 type: 'password',
                 name: 'apiKey',
                 message: 'Enter your Gemini API key:',
                 validate: input => input.length > 0 ? true : 'API key cannot be empty'
             }]);
-            projectState.config.apiKey = apiKey;
-            await saveConfig();
+            // still usable for this session if it cannot be saved
+            if (!await saveSecretSetting('apiKey', 'gemini-api-key', apiKey)) projectState.config.apiKey = apiKey;
         }
 
-        // Initialize Gemini
-        genAI = new GoogleGenerativeAI(projectState.config.apiKey);
-        model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+        provider = createProvider(await providerConfig());
         
         return true;
     } catch (error) {
@@ -71,11 +225,16 @@ async function initializeAI() {
     }
 }
 
-async function saveConfig() {
+// Saves changed settings to the global file (or the active profile in it).
+// Returns false when they could not be saved.
+async function saveConfig(changes) {
     try {
-        await fs.writeFile(configPath, JSON.stringify(projectState.config, null, 2), 'utf8');
+        await settings.set(changes);
+        projectState.config = settings.values;
+        return true;
     } catch (error) {
         console.error(chalk.red("Error saving config:"), error.message);
+        return false;
     }
 }
 
@@ -85,40 +244,126 @@ function resolveProjectPath(filePath) {
     return path.join(projectState.currentDirectory, filePath);
 }
 
-// Execute shell commands with promise
-function execPromise(command) {
-    return new Promise((resolve, reject) => {
-        const spinner = ora(`Executing: ${command}`).start();
-        exec(command, { cwd: projectState.currentDirectory }, (error, stdout, stderr) => {
-            if (error) {
-                spinner.fail();
-                reject(new Error(`${error.message}\n${stderr}`));
-                return;
-            }
-            spinner.succeed();
-            resolve(stdout.trim());
-        });
-    });
+// Checks a path against the workspace sandbox policy and returns it resolved
+function checkSandbox(filePath, action) {
+    const policy = createPolicy(projectState.config, projectState.currentDirectory);
+    return checkPath(policy, resolveProjectPath(filePath), action);
 }
 
-// Function to watch files
-function watchFiles(dirPath, onChangeCallback) {
-    if (projectState.fileWatchers.has(dirPath)) {
-        return;
+let nextWatchId = 1;
+
+// Adds a watch rule ({ target, glob, events, debounce, trigger }). Rules with a
+// trigger run commands later, so they need an approved plan or a typed `watch`.
+async function addWatchRule(spec, context = {}) {
+    if (spec.trigger && !context.approved) {
+        throw new Error(`Refusing to add an unapproved watch rule: ${describeTrigger(spec.trigger)}`);
     }
     
-    const watcher = chokidar.watch(dirPath, {
-        ignored: /(^|[\/\\])\../, // Ignore dot files
-        persistent: true
-    });
+    const { base, glob } = splitGlob(spec.target);
+    const root = await checkSandbox(base, 'watch');
+    await fs.access(root);
     
-    watcher.on('change', path => {
-        console.log(chalk.cyan(`📂 File changed: ${path}`));
-        if (onChangeCallback) onChangeCallback(path);
-    });
+    // A recipe trigger runs without review, so only the recipe as approved now may run
+    const recipe = spec.trigger && spec.trigger.type === 'recipe' ? spec.trigger : null;
+    const rule = new WatchRule(nextWatchId++, {
+        root,
+        glob: spec.glob || glob,
+        events: spec.events,
+        debounce: spec.debounce,
+        trigger: spec.trigger,
+        cwd: projectState.currentDirectory,
+        approvedPlan: recipe ? planHash(await recipePlan(recipe.recipe, recipe.params)) : null
+    }, runWatchTrigger);
+    projectState.fileWatchers.set(rule.id, rule);
     
-    projectState.fileWatchers.set(dirPath, watcher);
-    console.log(chalk.cyan(`👀 Watching directory: ${dirPath}`));
+    console.log(chalk.cyan(`👀 Watch rule ${rule.id}: ${rule.glob ? path.join(root, rule.glob) : root} (${rule.events.join(', ')}) → ${describeTrigger(rule.trigger)}`));
+    return rule;
+}
+
+// Runs when a watch rule fires, in the background while the prompt waits
+async function runWatchTrigger(rule, changes) {
+    const files = [...new Set(changes.map(change => change.path))];
+    const label = `[watch ${rule.id}]`;
+    const log = projectState.logger.child({ commandId: newCommandId(), watchRule: rule.id });
+    const startTime = Date.now();
+    console.log(chalk.cyan(`\n👀 ${label} ${changes.length === 1 ? `${changes[0].event} ${changes[0].path}` : `${files.length} file(s) changed: ${files.slice(0, 5).join(', ')}${files.length > 5 ? ', …' : ''}`}`));
+    
+    try {
+        const { trigger } = rule;
+        if (!trigger) {
+            log.debug('Watched files changed', { files });
+            return;
+        }
+        
+        switch(trigger.type) {
+            case 'command': {
+                // quiet: a live view would scroll over the prompt
+                const output = await runShell(trigger.command, { cwd: rule.cwd, approved: true, output: 'quiet' });
+                if (output) console.log(output);
+                break;
+            }
+                
+            case 'restart': {
+                const record = await restartSupervised(trigger.process);
+                console.log(chalk.green(`🔁 Restarted process: ${trigger.process} (pid ${record.pid})`));
+                break;
+            }
+                
+            case 'recipe': {
+                // The rule was approved when it was added, so the recipe runs without
+                // review, as long as it is still the plan that was approved then
+                const plan = await recipePlan(trigger.recipe, trigger.params);
+                if (planHash(plan) !== rule.approvedPlan) {
+                    throw new Error(`Recipe ${trigger.recipe} changed after watch rule ${rule.id} was added; not running it. Remove the rule and add it again to approve the new recipe.`);
+                }
+                const outcome = await runPlan(plan, `${label} recipe run ${trigger.recipe}`, { yes: true, commandId: log.fields.commandId });
+                if (!outcome.success) throw new Error(outcome.error || `Recipe ${trigger.recipe} failed`);
+                break;
+            }
+        }
+        log.info('Watch rule triggered', { action: describeTrigger(trigger), files, outcome: 'success', durationMs: Date.now() - startTime });
+    } catch (error) {
+        console.error(chalk.red(`❌ ${label} ${error.message}`));
+        log.error('Watch rule trigger failed', { action: describeTrigger(rule.trigger), files, outcome: 'failed', error, durationMs: Date.now() - startTime });
+        throw error;
+    } finally {
+        redrawPrompt();
+    }
+}
+
+// `watch <path or glob> ...`, `watch list` and `unwatch <id>` in the interactive shell
+async function handleWatchCommand(command, args) {
+    try {
+        if (command === 'unwatch') {
+            const ids = args[0] === 'all' ? [...projectState.fileWatchers.keys()] : args.map(Number);
+            if (ids.length === 0) {
+                console.log(chalk.yellow('Usage: unwatch <id> [more ids] | unwatch all'));
+                return;
+            }
+            for (const id of ids) {
+                const rule = projectState.fileWatchers.get(id);
+                if (!rule) throw new Error(`No watch rule ${id} (see watch list)`);
+                await rule.close();
+                projectState.fileWatchers.delete(id);
+                console.log(chalk.green(`🗑️ Removed watch rule ${id}`));
+            }
+            return;
+        }
+        
+        if (args.length === 0 || args[0] === 'list') {
+            if (projectState.fileWatchers.size === 0) {
+                console.log(chalk.yellow(`No watch rules. Add one with ${chalk.cyan('watch src/**/*.js --run npm test')}`));
+                return;
+            }
+            console.table([...projectState.fileWatchers.values()].map(rule => rule.describe()));
+            return;
+        }
+        
+        // Typing the rule is the approval for its trigger
+        await addWatchRule(parseWatchArgs(args), { approved: true });
+    } catch (error) {
+        console.error(chalk.red(`❌ Watch error:`), error.message);
+    }
 }
 
 // Database operations
@@ -130,9 +375,7 @@ async function handleDatabaseOperation(operation) {
             case 'mysql':
             case 'postgres':
             case 'sqlite':
-                // Implement other database types
-                console.log(chalk.yellow(`⚠️ ${operation.dbType} operations not yet implemented`));
-                return null;
+                return await handleSqlOperation(operation);
             default:
                 throw new Error(`Unsupported database type: ${operation.dbType}`);
         }
@@ -142,70 +385,177 @@ async function handleDatabaseOperation(operation) {
     }
 }
 
+// A projectState.databases key for display: no user:password@ in URLs, no
+// query string and no password= in key=value connection strings
+function describeConnection(key) {
+    return key
+        .replace(/\b([a-z][\w+.-]*:\/\/)[^\s@/]*@/gi, '$1')
+        .replace(/\?[^\s)]*/g, '')
+        .replace(/\b(password|pwd)=[^;\s]*/gi, '$1=****');
+}
+
+// One mongoose connection per connection string (see mongoDatabase.js). The
+// connections are keyed by the string as the plan wrote it, so a secret
+// referenced as {{secret:NAME}} stays out of the key.
 async function handleMongoDBOperation(operation) {
-    const { action, connectionString, database, collection, data, query } = operation;
+    const { connectionString } = operation;
+    const key = operation.connectionRef || connectionString;
     
-    // Connect if not already connected
-    if (!projectState.databases.has(connectionString)) {
-        const connection = await mongoose.connect(connectionString, {
-            useNewUrlParser: true,
-            useUnifiedTopology: true
-        });
-        projectState.databases.set(connectionString, connection);
+    if (!projectState.databases.has(key)) {
+        projectState.databases.set(key, await openMongoClient(connectionString));
     }
     
-    const db = mongoose.connection.db;
+    const connection = projectState.databases.get(key);
+    if (operation.action === 'backup' || operation.action === 'restore') {
+        return await handleBackupOperation(operation, connection);
+    }
     
-    switch(action) {
-        case 'create-collection':
-            await db.createCollection(collection);
-            return { success: true, message: `Collection ${collection} created` };
-            
-        case 'insert':
-            const result = await db.collection(collection).insertMany(data);
-            return { success: true, inserted: result.insertedCount };
-            
-        case 'query':
-            const docs = await db.collection(collection).find(query).toArray();
-            return { success: true, data: docs };
-            
-        case 'drop-collection':
-            await db.collection(collection).drop();
-            return { success: true, message: `Collection ${collection} dropped` };
-            
-        default:
-            throw new Error(`Unsupported MongoDB operation: ${action}`);
+    const result = await runMongoOperation(connection, operation);
+    await showDatabaseResult(result, operation);
+    return result;
+}
+
+// SQL databases share one pooled client per connection (see sqlDatabase.js)
+async function handleSqlOperation(operation) {
+    const { dbType, connectionString, database } = operation;
+    
+    let target = connectionString;
+    const reference = operation.connectionRef || connectionString;
+    let key = database ? `${reference} (${database})` : reference;
+    if (dbType === 'sqlite') {
+        const file = sqliteFile(connectionString);
+        target = file === ':memory:' ? file : await checkSandbox(file, 'open database');
+        key = `sqlite:${target}`;
+    }
+    
+    if (!projectState.databases.has(key)) {
+        projectState.databases.set(key, await openSqlClient(dbType, target, database));
+    }
+    
+    const client = projectState.databases.get(key);
+    if (operation.action === 'backup' || operation.action === 'restore') {
+        return await handleBackupOperation(operation, client);
+    }
+    
+    const result = await runSqlOperation(client, operation);
+    await showDatabaseResult(result, operation);
+    return result;
+}
+
+// Backup files go through the sandbox and the undo journal like any other write
+async function handleBackupOperation(operation, client) {
+    const isMongo = operation.dbType === 'mongodb';
+    
+    if (operation.action === 'backup') {
+        const format = backupFormat(operation);
+        if (isMongo && format === 'sql') {
+            throw new Error('MongoDB backups can only be written as JSON');
+        }
+        
+        const dump = isMongo ? await dumpCollections(client, operation) : await dumpTables(client, operation);
+        const backupFile = await checkSandbox(backupPath(operation, dump.database, format), 'write backup');
+        const content = format === 'sql' ? formatSqlDump(dump) : stringifyBackup(dump);
+        const data = await encodeBackup(content, backupFile.endsWith('.gz'));
+        
+        await projectState.journal.recordMkdir(path.dirname(backupFile));
+        await fs.mkdir(path.dirname(backupFile), { recursive: true });
+        await projectState.journal.recordWrite(backupFile);
+        await fs.writeFile(backupFile, data);
+        
+        const counts = dump.collections.map(({ name, rows }) => ({ [isMongo ? 'collection' : 'table']: name, [isMongo ? 'documents' : 'rows']: rows.length }));
+        console.log(chalk.green(`💾 Backup of ${dump.database} written to ${backupFile} (${data.length} bytes)`));
+        if (counts.length > 0) console.table(counts);
+        return { success: true, path: backupFile, data: counts };
+    }
+    
+    if (!operation.input) {
+        throw new Error('restore needs an input backup file');
+    }
+    const backupFile = await checkSandbox(operation.input, 'restore from');
+    const backup = parseBackup(await decodeBackup(await fs.readFile(backupFile)));
+    const counts = isMongo
+        ? await restoreCollections(client, backup, operation)
+        : await restoreTables(client, backup, operation);
+    
+    console.log(chalk.green(`💾 Restored ${counts.length} ${isMongo ? 'collections' : 'tables'} from ${backupFile}`));
+    if (counts.length > 0) console.table(counts);
+    return { success: true, path: backupFile, data: counts };
+}
+
+// Nested documents and ObjectIds do not fit in a table cell
+function tableCell(value) {
+    if (value === null || value === undefined) return value;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+        return value._bsontype ? String(value) : JSON.stringify(value);
+    }
+    return value;
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(tableCell(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Query results go to a table, or to `output` (.csv or .json) when given
+async function showDatabaseResult(result, operation) {
+    if (!result.data) {
+        console.log(chalk.green(`🗄️ ${result.message || `${result.inserted} rows inserted`}`));
+        return;
+    }
+    
+    const rows = result.data;
+    if (operation.output) {
+        const outputPath = await checkSandbox(operation.output, 'export to');
+        let content;
+        if (path.extname(outputPath).toLowerCase() === '.csv') {
+            const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+            content = [columns, ...rows.map(row => columns.map(column => row[column]))]
+                .map(line => line.map(csvCell).join(','))
+                .join('\n') + '\n';
+        } else {
+            content = JSON.stringify(rows, null, 2);
+        }
+        
+        await projectState.journal.recordMkdir(path.dirname(outputPath));
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        await projectState.journal.recordWrite(outputPath);
+        await fs.writeFile(outputPath, content, 'utf8');
+        result.output = outputPath;
+        console.log(chalk.green(`🗄️ ${rows.length} rows exported to ${outputPath}`));
+    } else if (rows.length > 0) {
+        console.table(rows.map(row => Object.fromEntries(
+            Object.entries(row).map(([column, value]) => [column, tableCell(value)])
+        )));
+    } else {
+        console.log(chalk.yellow('(no rows)'));
     }
 }
 
 // Git operations
 async function handleGitOperation(operation) {
     try {
-        const { action, repository, branch, message } = operation;
+        const { action, repository, branch } = operation;
+        
+        await runCommand(gitCommand(operation), { cwd: projectState.currentDirectory });
         
         switch(action) {
             case 'init':
-                await execPromise('git init');
                 return { success: true, message: 'Git repository initialized' };
                 
             case 'clone':
-                await execPromise(`git clone ${repository}`);
                 return { success: true, message: `Repository cloned from ${repository}` };
                 
             case 'add':
-                await execPromise('git add .');
                 return { success: true, message: 'Changes staged' };
                 
             case 'commit':
-                await execPromise(`git commit -m "${message || 'Commit by AI Agent'}"`);
                 return { success: true, message: 'Changes committed' };
                 
             case 'push':
-                await execPromise(`git push origin ${branch || 'main'}`);
                 return { success: true, message: `Pushed to ${branch || 'main'}` };
                 
             case 'checkout':
-                await execPromise(`git checkout ${branch}`);
                 return { success: true, message: `Switched to branch ${branch}` };
                 
             default:
@@ -220,81 +570,18 @@ async function handleGitOperation(operation) {
 // Package management
 async function handlePackageOperation(operation) {
     try {
-        const { manager, action, packages, options, directory } = operation;
-        let command;
+        const { directory } = operation;
+        const command = packageCommand(operation);
+        const cwd = directory ? await checkSandbox(directory, 'install into') : projectState.currentDirectory;
         
-        let cwd = process.cwd();
+        console.log(chalk.cyan(`📦 Running in directory: ${cwd}`));
         
-        console.log(chalk.cyan(`📦 Running in directory: ${directory || cwd}`));
-        
-        switch(manager) {
-            case 'npm':
-                switch(action) {
-                    case 'install':
-                        command = `npm install ${packages ? packages.join(' ') : ''} ${options || ''}`;
-                        break;
-                    case 'uninstall':
-                        command = `npm uninstall ${packages.join(' ')}`;
-                        break;
-                    case 'update':
-                        command = `npm update ${packages.join(' ')}`;
-                        break;
-                    case 'init':
-                        command = 'npm init -y';
-                        break;
-                    case 'run':
-                        command = `npm run ${options}`;
-                        break;
-                    default:
-                        throw new Error(`Unsupported NPM action: ${action}`);
-                }
-                break;
-                
-            case 'pip':
-                switch(action) {
-                    case 'install':
-                        command = `pip install ${packages.join(' ')} ${options || ''}`;
-                        break;
-                    case 'uninstall':
-                        command = `pip uninstall -y ${packages.join(' ')}`;
-                        break;
-                    case 'update':
-                        command = `pip install --upgrade ${packages.join(' ')}`;
-                        break;
-                    default:
-                        throw new Error(`Unsupported pip action: ${action}`);
-                }
-                break;
-                
-            default:
-                throw new Error(`Unsupported package manager: ${manager}`);
-        }
-        
-        const result = await execPromise(command);
-        
-        // Reset directory if changed
-        if (directory) {
-            process.chdir(projectState.currentDirectory);
-        }
-        if (directory) {
-            // Create directory if it doesn't exist
-            await fs.mkdir(directory, { recursive: true });
-            process.chdir(directory);
-        }
-        
-        try {
-            const result = await execPromise(command);
-            return { success: true, output: result };
-        } finally {
-            if (directory) {
-                process.chdir(cwd);
-            }
-        }
+        // Create directory if it doesn't exist
+        await fs.mkdir(cwd, { recursive: true });
         
+        const result = await runCommand(command, { cwd });
         return { success: true, output: result };
     } catch (error) {
-        // Reset directory if an error occurred
-        process.chdir(projectState.currentDirectory);
         console.error(chalk.red(`❌ Package management error:`), error.message);
         throw error;
     }
@@ -345,59 +632,46 @@ async function handlePackageOperation(operation) {
 //     }
 // }
 
-// Update startProcess function
-async function startProcess(command, options = {}) {
-    const { name, waitForExit = false, cwd = projectState.currentDirectory, logFile } = options;
+// Commands come from the plan and run through a shell, so the plan must be approved.
+// Background processes run under the supervisor daemon (supervisor.js), so they
+// keep running after this session exits.
+async function startProcess(command, options = {}, context = {}) {
+    const { name, waitForExit = false, logFile, logRotation, restart, maxRetries, healthCheck, alerts } = options;
+    const cwd = options.cwd ? resolveProjectPath(options.cwd) : projectState.currentDirectory;
     
     const processName = name || command.split(' ')[0];
     
     try {
-        // Kill existing process with the same name if running
-        if (projectState.runningProcesses.has(processName)) {
-            await stopProcess(processName);
-        }
-        
         if (waitForExit) {
-            const result = await execPromise(command);
+            const result = await runPlanShell(command, { cwd, approved: context.approved });
             return { success: true, output: result };
-        } else {
-            const [cmd, ...args] = command.split(' ');
-            
-            // Handle logging
-            let stdio = 'inherit';
-            let logStream;
-            
-            if (logFile) {
-                logStream = require('fs').createWriteStream(logFile, { flags: 'a' });
-                stdio = ['ignore', logStream, logStream];
-            }
-            
-            const childProcess = spawn(cmd, args, {
-                stdio,
-                shell: true,
-                cwd
-            });
-            
-            projectState.runningProcesses.set(processName, {
-                process: childProcess,
-                command,
-                startTime: new Date(),
-                logFile,
-                logStream // Store stream reference for cleanup
-            });
-            
-            childProcess.on('exit', (code) => {
-                console.log(chalk.yellow(`⏹️ Process ${processName} exited with code ${code}`));
-                // Close log stream if exists
-                if (logStream) {
-                    logStream.end();
-                }
-                projectState.runningProcesses.delete(processName);
-            });
-            
-            console.log(chalk.green(`▶️ Started process: ${processName}`));
-            return { success: true, processName };
         }
+        
+        if (!context.approved) {
+            throw new Error(`Refusing to start unapproved command: ${command}`);
+        }
+        
+        // Kill existing process with the same name if running
+        const existing = (await listSupervised()).find(record => record.name === processName);
+        if (existing && ['running', 'restarting'].includes(existing.status)) {
+            await stopSupervised(processName);
+        }
+        
+        const record = await supervise({
+            name: processName,
+            command,
+            secrets: await secretValues(command),
+            cwd,
+            logFile: logFile ? await checkSandbox(logFile, 'write log to') : undefined,
+            logRotation: { ...projectState.config.processLogs, ...logRotation },
+            restart,
+            maxRetries,
+            healthCheck,
+            alerts: { ...projectState.config.monitor.thresholds, ...alerts }
+        });
+        
+        console.log(chalk.green(`▶️ Started process: ${processName} (pid ${record.pid}, log ${record.logFile})`));
+        return { success: true, processName, pid: record.pid, logFile: record.logFile };
     } catch (error) {
         console.error(chalk.red(`❌ Failed to start process:`), error.message);
         throw error;
@@ -405,16 +679,14 @@ async function startProcess(command, options = {}) {
 }
 
 async function stopProcess(processName) {
-    if (!projectState.runningProcesses.has(processName)) {
-        console.log(chalk.yellow(`⚠️ No running process named ${processName}`));
-        return { success: false, message: `No running process named ${processName}` };
-    }
-    
-    const { process } = projectState.runningProcesses.get(processName);
-    
     try {
-        process.kill();
-        projectState.runningProcesses.delete(processName);
+        const record = (await listSupervised()).find(item => item.name === processName);
+        if (!record || !['running', 'restarting'].includes(record.status)) {
+            console.log(chalk.yellow(`⚠️ No running process named ${processName}`));
+            return { success: false, message: `No running process named ${processName}` };
+        }
+        
+        await stopSupervised(processName);
         console.log(chalk.green(`⏹️ Stopped process: ${processName}`));
         return { success: true, message: `Process ${processName} stopped` };
     } catch (error) {
@@ -423,17 +695,50 @@ async function stopProcess(processName) {
     }
 }
 
+async function restartProcess(processName) {
+    try {
+        // the supervisor only keeps secret values while it runs, so send them again
+        const existing = (await listSupervised()).find(item => item.name === processName);
+        const record = await restartSupervised(processName, existing ? await secretValues(existing.command) : undefined);
+        console.log(chalk.green(`🔁 Restarted process: ${processName} (pid ${record.pid})`));
+        return { success: true, processName, pid: record.pid };
+    } catch (error) {
+        console.error(chalk.red(`❌ Error restarting process ${processName}:`), error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+function formatUptime(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
 async function listProcesses() {
     const processList = [];
     
-    for (const [name, details] of projectState.runningProcesses.entries()) {
-        const { command, startTime, logFile } = details;
-        const uptime = Math.floor((new Date() - startTime) / 1000);
+    for (const record of await listSupervised()) {
+        const { name, pid, status, health, command, startedAt, exitCode, restarts, restart, nextRestartAt, logFile } = record;
+        const uptime = status === 'running'
+            ? formatUptime(Math.floor((new Date() - new Date(startedAt)) / 1000))
+            : '-';
+        
+        // Health replaces "running" when the process has a health check
+        let shownStatus = status === 'running' && health ? health : status;
+        if (status === 'restarting' && nextRestartAt) {
+            shownStatus += ` (in ${Math.max(0, Math.ceil((new Date(nextRestartAt) - new Date()) / 1000))}s)`;
+        } else if (exitCode !== null && exitCode !== undefined && status !== 'running') {
+            shownStatus += ` (${exitCode})`;
+        }
         
         processList.push({
             name,
+            pid,
+            status: shownStatus,
+            restarts: restarts || 0,
+            policy: restart || 'never',
+            uptime,
             command,
-            uptime: `${uptime} seconds`,
             logFile: logFile || 'N/A'
         });
     }
@@ -441,11 +746,444 @@ async function listProcesses() {
     return processList;
 }
 
+// logs <name...> | --all | agent  [-f] [--grep <pattern>] [--since 10m] [--lines 50] [--level warn]
+function parseLogsArgs(args) {
+    const options = { names: [], all: false, follow: false, grep: null, since: null, lines: 50, level: null };
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+            return args[++i];
+        };
+        
+        switch(arg) {
+            case '-f':
+            case '--follow':
+                options.follow = true;
+                break;
+            case '--all':
+                options.all = true;
+                break;
+            case '--grep':
+                try {
+                    options.grep = new RegExp(value(), 'i');
+                } catch (error) {
+                    throw new Error(`Invalid --grep pattern: ${error.message}`);
+                }
+                break;
+            case '--since':
+                options.since = parseSince(value());
+                break;
+            case '--level':
+                options.level = value().toLowerCase();
+                if (Logger.LEVELS[options.level] === undefined) {
+                    throw new Error(`Unknown level: ${options.level} (use ${Object.keys(Logger.LEVELS).join(', ')})`);
+                }
+                break;
+            case '-n':
+            case '--lines':
+                options.lines = parseInt(value(), 10);
+                if (!(options.lines > 0)) throw new Error('--lines needs a positive number');
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+                options.names.push(arg);
+        }
+    }
+    
+    return options;
+}
+
+// `logs agent`: the structured agent log with level and time filters
+async function showAgentLog(options) {
+    const log = projectState.logger;
+    const filters = { level: options.level, since: options.since, grep: options.grep };
+    const records = await log.getLogHistory({ ...filters, lines: options.lines });
+    
+    if (records.length === 0 && !options.follow) {
+        console.log(chalk.gray(`(no matching records in ${log.logFile})`));
+    }
+    for (const record of records) {
+        console.log(Logger.formatRecord(record));
+    }
+    
+    if (!options.follow) return;
+    
+    console.log(chalk.gray(`── following ${log.logFile}, press Ctrl+C to stop ──`));
+    const stop = followLogs([{ name: 'agent', file: log.logFile }], {
+        parse: Logger.parseRecord,
+        format: record => Logger.formatRecord(record),
+        filter: record => Logger.matchesRecord(record, filters)
+    });
+    await new Promise(resolve => process.once('SIGINT', resolve));
+    stop();
+}
+
+async function handleLogsCommand(args) {
+    try {
+        const options = parseLogsArgs(args);
+        if (options.names.length === 1 && options.names[0] === 'agent' && !options.all) {
+            await showAgentLog(options);
+            return;
+        }
+        if (options.level) {
+            throw new Error('--level only applies to logs agent');
+        }
+        
+        const records = await listSupervised();
+        const targets = options.all
+            ? records
+            : options.names.map(name => {
+                const record = records.find(item => item.name === name);
+                if (!record) throw new Error(`No process named ${name}`);
+                return record;
+            });
+        
+        if (targets.length === 0) {
+            console.log(chalk.yellow('Usage: logs <name> [more names] | logs --all | logs agent [--level warn]  [-f] [--grep <pattern>] [--since 10m] [--lines 50]'));
+            return;
+        }
+        
+        // Recent lines first, merged in time order when there are several logs
+        const showNames = targets.length > 1;
+        const entries = targets
+            .flatMap((record, index) => readLog(record.logFile, options).map(entry => ({
+                entry,
+                name: record.name,
+                color: NAME_COLORS[index % NAME_COLORS.length]
+            })))
+            .sort((a, b) => (a.entry.time || 0) - (b.entry.time || 0))
+            .slice(-options.lines);
+        
+        if (entries.length === 0 && !options.follow) {
+            console.log(chalk.gray('(no matching log lines)'));
+        }
+        for (const { entry, name, color } of entries) {
+            console.log(formatEntry(entry, showNames && name, color));
+        }
+        
+        if (!options.follow) return;
+        
+        console.log(chalk.gray(`── following ${targets.map(record => record.name).join(', ')}, press Ctrl+C to stop ──`));
+        const stop = followLogs(targets.map(record => ({ name: record.name, file: record.logFile })), options);
+        // Ctrl+C ends following instead of the whole shell
+        await new Promise(resolve => process.once('SIGINT', resolve));
+        stop();
+    } catch (error) {
+        console.error(chalk.red(`❌ Logs error:`), error.message);
+    }
+}
+
+function formatMonitorRows(rows, records) {
+    return rows.map(row => {
+        const record = records.find(item => item.name === row.name) || {};
+        return {
+            name: row.name,
+            pid: row.pid,
+            status: record.health || record.status,
+            cpu: row.cpu === null ? '…' : `${row.cpu}%`,
+            memory: `${row.rssMb} MB`,
+            procs: row.processes,
+            ports: row.ports.join(', ') || '-',
+            uptime: formatUptime(Math.floor((new Date() - new Date(record.startedAt)) / 1000))
+        };
+    });
+}
+
+// One measurement (two samples a second apart, for CPU) of the given processes
+async function showMonitorSnapshot(names) {
+    try {
+        const records = (await listSupervised()).filter(record => names.includes(record.name));
+        const monitor = new Monitor({ thresholds: projectState.config.monitor.thresholds, logger: projectState.logger });
+        monitor.sample(records);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        const rows = monitor.sample(records);
+        if (rows.length === 0) return;
+        
+        console.log(chalk.cyan('\n📈 Resource usage:'));
+        console.table(formatMonitorRows(rows, records));
+        console.log(chalk.gray(`Run ${chalk.yellow('monitor')} for a live view.`));
+    } catch (error) {
+        console.log(chalk.yellow(`⚠️ ${error.message}`));
+    }
+}
+
+// monitor [names] [--interval 2] [--rss 500] [--cpu 90]: refreshing dashboard until Ctrl+C
+async function handleMonitorCommand(args) {
+    const config = projectState.config.monitor;
+    // thresholds given here win over the per-process and configured ones
+    const options = { names: [], interval: config.interval, thresholds: {} };
+    
+    try {
+        for (let i = 0; i < args.length; i++) {
+            const value = () => {
+                const number = parseFloat(args[++i]);
+                if (!(number > 0)) throw new Error(`${args[i - 1]} needs a positive number`);
+                return number;
+            };
+            switch(args[i]) {
+                case '--interval':
+                    options.interval = value() * 1000;
+                    break;
+                case '--rss':
+                    options.thresholds.rssMb = value();
+                    break;
+                case '--cpu':
+                    options.thresholds.cpu = value();
+                    break;
+                default:
+                    if (args[i].startsWith('-')) throw new Error(`Unknown option: ${args[i]}`);
+                    options.names.push(args[i]);
+            }
+        }
+        
+        const monitor = new Monitor({ thresholds: config.thresholds, logger: projectState.logger });
+        
+        const render = async () => {
+            const records = (await listSupervised())
+                .filter(record => options.names.length === 0 || options.names.includes(record.name));
+            // New alerts are also written to the agent log by the monitor
+            const rows = monitor.sample(records.map(record => ({ ...record, alerts: { ...record.alerts, ...options.thresholds } })));
+            
+            console.clear();
+            console.log(chalk.cyan(`📈 Process monitor (every ${options.interval / 1000}s, Ctrl+C to stop)\n`));
+            if (rows.length > 0) {
+                console.table(formatMonitorRows(rows, records));
+            } else {
+                console.log(chalk.yellow('No running processes to monitor.'));
+            }
+            
+            const stopped = records.filter(record => record.status !== 'running');
+            if (stopped.length > 0) {
+                console.log(chalk.gray(`Not running: ${stopped.map(record => `${record.name} (${record.status})`).join(', ')}`));
+            }
+            for (const row of rows) {
+                for (const alert of row.alerts) console.log(chalk.red(`⚠️ ${row.name}: ${alert}`));
+            }
+        };
+        
+        await render();
+        const timer = setInterval(() => render().catch(error => console.error(chalk.red(error.message))), options.interval);
+        await new Promise(resolve => process.once('SIGINT', resolve));
+        clearInterval(timer);
+    } catch (error) {
+        console.error(chalk.red(`❌ Monitor error:`), error.message);
+    }
+}
+
+// `process list|stop|restart|tail|remove` in the interactive shell
+async function handleProcessCommand(args) {
+    const [subcommand = 'list', name, count] = args;
+    
+    try {
+        switch(subcommand) {
+            case 'list': {
+                const processes = await listProcesses();
+                if (processes.length === 0) {
+                    console.log(chalk.yellow('No managed processes.'));
+                    return;
+                }
+                console.table(processes);
+                for (const record of await listSupervised()) {
+                    if (record.lastError) console.log(chalk.yellow(`⚠️ ${record.name}: ${record.lastError}`));
+                }
+                return;
+            }
+            
+            case 'stop':
+                await stopProcess(name);
+                return;
+                
+            case 'restart':
+                await restartProcess(name);
+                return;
+                
+            case 'tail':
+                await handleLogsCommand([name, '--lines', count || '20']);
+                return;
+            
+            case 'remove': {
+                await removeSupervised(name);
+                console.log(chalk.green(`🗑️ Removed ${name} from the process list`));
+                return;
+            }
+                
+            default:
+                console.log(chalk.yellow(`Usage: process list | process stop <name> | process restart <name> | process tail <name> [lines] | process remove <name>`));
+        }
+    } catch (error) {
+        console.error(chalk.red(`❌ Process error:`), error.message);
+    }
+}
+
+function isUp(record) {
+    return Boolean(record) && ['running', 'restarting'].includes(record.status);
+}
+
+// Starts the services of a stack (slaveshell.stacks.json) in dependency order;
+// each one has to pass its readiness check before its dependents start.
+// Services that are already running are left alone.
+async function stackUp(stackName, only = []) {
+    const loaded = await loadStacks(projectState.currentDirectory);
+    const { name, stack } = selectStack(loaded, stackName);
+    const order = startOrder(stack.services, only);
+    const records = await listSupervised();
+    const started = [];
+    
+    console.log(chalk.cyan(`\n🧱 Starting stack ${name}: ${order.join(' → ')}`));
+    for (const serviceName of order) {
+        const service = stack.services[serviceName];
+        const processName = stackProcessName(name, serviceName);
+        const existing = records.find(record => record.name === processName);
+        
+        if (existing && existing.status === 'running') {
+            console.log(chalk.gray(`   ${serviceName}: already running (pid ${existing.pid})`));
+            continue;
+        }
+        if (isUp(existing)) await stopSupervised(processName);
+        
+        const spinner = ora(`${serviceName}: starting ${service.command}`).start();
+        try {
+            const record = await supervise({
+                name: processName,
+                stack: name,
+                command: service.command,
+                cwd: service.cwd ? path.resolve(loaded.root, service.cwd) : loaded.root,
+                env: serviceEnv(stack, service),
+                logFile: service.logFile ? await checkSandbox(path.resolve(loaded.root, service.logFile), 'write log to') : undefined,
+                logRotation: projectState.config.processLogs,
+                restart: service.restart,
+                maxRetries: service.maxRetries,
+                healthCheck: service.healthCheck,
+                alerts: projectState.config.monitor.thresholds
+            });
+            
+            spinner.text = `${serviceName}: waiting for ${describeReady(service.ready)}`;
+            await waitForReady(service, {
+                logFile: record.logFile,
+                startedAt: new Date(record.startedAt),
+                isRunning: async () => isUp((await listSupervised()).find(item => item.name === processName))
+            });
+            spinner.succeed(`${serviceName}: ready (pid ${record.pid})`);
+            projectState.logger.info(`Stack ${name}: ${serviceName} ready`, { stack: name, process: processName, durationMs: Date.now() - new Date(record.startedAt), outcome: 'success' });
+            started.push(processName);
+        } catch (error) {
+            spinner.fail(`${serviceName}: ${error.message}`);
+            projectState.logger.error(`Stack ${name}: ${serviceName} did not become ready`, { stack: name, process: processName, error, outcome: 'failed' });
+            // Services that already started keep running, like docker compose
+            throw new Error(`Stack ${name} stopped at ${serviceName}, see ${chalk.yellow(`logs ${processName}`)}`);
+        }
+    }
+    
+    return { success: true, stack: name, started };
+}
+
+// Stops the running services of a stack, dependents first. Each stop kills the
+// service's whole process tree (see killTree in supervisor.js).
+async function stackDown(stackName) {
+    let name = stackName;
+    let order = [];
+    try {
+        const loaded = await loadStacks(projectState.currentDirectory);
+        const selected = selectStack(loaded, stackName);
+        name = selected.name;
+        order = startOrder(selected.stack.services).map(service => stackProcessName(name, service));
+    } catch (error) {
+        // Services of a named stack can still be stopped when the file is gone or broken
+        if (!stackName) throw error;
+    }
+    
+    const records = await listSupervised();
+    const members = records.filter(record => record.stack === name).map(record => record.name);
+    const names = [...order.reverse(), ...members.filter(member => !order.includes(member))];
+    const running = names.filter(processName => isUp(records.find(record => record.name === processName)));
+    
+    if (running.length === 0) {
+        console.log(chalk.yellow(`⚠️ Nothing of stack ${name} is running`));
+        return { success: true, stack: name, stopped: [] };
+    }
+    
+    for (const processName of running) {
+        await stopSupervised(processName);
+        console.log(chalk.green(`⏹️ Stopped ${processName}`));
+    }
+    projectState.logger.info(`Stack ${name} stopped`, { stack: name, processes: running });
+    return { success: true, stack: name, stopped: running };
+}
+
+async function stackStatus(stackName) {
+    const loaded = await loadStacks(projectState.currentDirectory);
+    const processes = await listProcesses();
+    const names = stackName ? [selectStack(loaded, stackName).name] : Object.keys(loaded.stacks);
+    
+    for (const name of names) {
+        const { stack } = selectStack(loaded, name);
+        console.log(chalk.cyan(`\n🧱 ${name}`));
+        console.table(startOrder(stack.services).map(serviceName => {
+            const service = stack.services[serviceName];
+            const row = processes.find(item => item.name === stackProcessName(name, serviceName)) || {};
+            return {
+                service: serviceName,
+                status: row.status || 'not started',
+                pid: row.pid || '-',
+                uptime: row.uptime || '-',
+                dependsOn: (service.dependsOn || []).join(', ') || '-',
+                ready: describeReady(service.ready)
+            };
+        }));
+    }
+}
+
+// `stack up|down|status|logs|list` in the interactive shell
+async function handleStackCommand(args) {
+    const [subcommand = 'status', name, ...rest] = args;
+    
+    try {
+        switch(subcommand) {
+            case 'up':
+                await stackUp(name, rest);
+                return;
+                
+            case 'down':
+                await stackDown(name);
+                return;
+                
+            case 'status':
+                await stackStatus(name);
+                return;
+                
+            case 'logs': {
+                const loaded = await loadStacks(projectState.currentDirectory);
+                const selected = selectStack(loaded, name);
+                const services = Object.keys(selected.stack.services).map(service => stackProcessName(selected.name, service));
+                const known = (await listSupervised()).map(record => record.name);
+                await handleLogsCommand([...services.filter(service => known.includes(service)), ...rest]);
+                return;
+            }
+                
+            case 'list': {
+                const loaded = await loadStacks(projectState.currentDirectory);
+                console.log(chalk.cyan(`🧱 Stacks in ${loaded.file}:`));
+                for (const [stackName, stack] of Object.entries(loaded.stacks)) {
+                    console.log(`  ${chalk.blue(stackName)}: ${startOrder(stack.services).join(' → ')}`);
+                }
+                return;
+            }
+                
+            default:
+                console.log(chalk.yellow(`Usage: stack up [name] [services] | stack down [name] | stack status [name] | stack logs [name] [-f] | stack list`));
+        }
+    } catch (error) {
+        console.error(chalk.red(`❌ Stack error:`), error.message);
+    }
+}
+
 // Advanced file operations
-async function performFileOperation(operation) {
+async function performFileOperation(operation, context = {}) {
     try {
         const { action, path: filePath, content, newPath, options } = operation;
-        const fullPath = resolveProjectPath(filePath);
+        const fullPath = await checkSandbox(filePath, action);
         
         switch(action) {
             case 'read':
@@ -453,26 +1191,33 @@ async function performFileOperation(operation) {
                 return { success: true, content: data };
                 
             case 'write':
+                await projectState.journal.recordWrite(fullPath);
                 await fs.writeFile(fullPath, content, 'utf8');
                 return { success: true, message: `File written: ${filePath}` };
                 
             case 'append':
+                await projectState.journal.recordWrite(fullPath);
                 await fs.appendFile(fullPath, content, 'utf8');
                 return { success: true, message: `Content appended to: ${filePath}` };
                 
             case 'delete':
+                await projectState.journal.recordDelete(fullPath);
                 await fs.unlink(fullPath);
                 return { success: true, message: `File deleted: ${filePath}` };
                 
             case 'rename':
-                await fs.rename(fullPath, resolveProjectPath(newPath));
+                const newFullPath = await checkSandbox(newPath, action);
+                await projectState.journal.recordRename(fullPath, newFullPath);
+                await fs.rename(fullPath, newFullPath);
                 return { success: true, message: `File renamed from ${filePath} to ${newPath}` };
                 
             case 'mkdir':
+                await projectState.journal.recordMkdir(fullPath);
                 await fs.mkdir(fullPath, { recursive: true });
                 return { success: true, message: `Directory created: ${filePath}` };
                 
             case 'rmdir':
+                await projectState.journal.recordDelete(fullPath);
                 if (options && options.recursive) {
                     await fs.rm(fullPath, { recursive: true, force: true });
                 } else {
@@ -484,9 +1229,17 @@ async function performFileOperation(operation) {
                 const files = await fs.readdir(fullPath);
                 return { success: true, files };
                 
-            case 'watch':
-                watchFiles(fullPath, operation.callback);
-                return { success: true, message: `Watching: ${filePath}` };
+            case 'watch': {
+                const watchOptions = options || {};
+                const rule = await addWatchRule({
+                    target: fullPath,
+                    glob: watchOptions.glob,
+                    events: watchOptions.events,
+                    debounce: watchOptions.debounce,
+                    trigger: watchOptions.trigger
+                }, context);
+                return { success: true, message: `Watching: ${filePath}`, watchId: rule.id };
+            }
                 
             default:
                 throw new Error(`Unsupported file operation: ${action}`);
@@ -497,13 +1250,35 @@ async function performFileOperation(operation) {
     }
 }
 
-async function executeAICommand(userCommand) {
-    const spinner = ora('Parsing your command...').start();
+// options.plan: a plan cached in history (`!<n>`), used instead of asking the model
+async function executeAICommand(userCommand, options = {}) {
+    const { plan: cachedPlan, rerunOf, ...runOptions } = options;
+    const commandId = newCommandId();
+    const log = projectState.logger.child({ commandId });
+    const startTime = Date.now();
+    const cwd = projectState.currentDirectory;
+    log.info('Command received', { command: userCommand, rerunOf });
     
+    const spinner = cachedPlan ? null : ora('Parsing your command...').start();
+    let plan = cachedPlan || null;
+    let prompt = null;
+    let outcome;
     try {
+        const secretNames = (await projectState.secrets.list()).map(secret => `${secret.name} (${secret.type})`);
+        const context = cachedPlan || !projectState.config.context.enabled ? null : await projectContext();
+        if (context) log.debug('Project context collected', { tokens: context.tokens, sections: context.sections });
+        const conversation = cachedPlan ? null : projectState.session.toPrompt(projectState.config.session);
+        
         // More detailed prompt to handle complex operations
-        const prompt = `
+        prompt = `
 Parse this command in ${projectState.config.language}: "${userCommand}"
+${context ? `
+Project context (fit commands, paths and package managers to this project):
+${context.text}
+` : ''}${conversation ? `
+Earlier in this conversation, oldest first. The command may refer to these (e.g. "it", "usme", "that project"):
+${conversation.text}
+` : ''}
 
 Respond with a detailed JSON execution plan:
 {
@@ -518,7 +1293,9 @@ Respond with a detailed JSON execution plan:
             "path": "project path",
             "steps": [
                 {
-                    "type": "mkdir|write|exec|install|config|start|stop|git|database",
+                    // mkdir: details.path, write: details.path + details.content, exec: details.command
+                    // package-operation, file-operation and process-operation steps use the fields shown below
+                    "type": "mkdir|write|exec|package-operation|file-operation|process-operation",
                     "details": { /* action-specific details */ }
                 }
             ]
@@ -530,12 +1307,14 @@ Respond with a detailed JSON execution plan:
             "path": "target path",
             "content": "file content if applicable",
             "newPath": "for rename operations",
-            "options": { "recursive": true, "force": true } // For rmdir/other operations
+            "options": { "recursive": true, "force": true }, // For rmdir/other operations
+            // For watch: "options": { "glob": "**/*.js", "events": ["add", "change", "unlink"], "debounce": 300,
+            //   "trigger": { "type": "command", "command": "npm test" } | { "type": "restart", "process": "api" } | { "type": "recipe", "recipe": "name", "params": {} } }
         },
         {
             // For package management
             "type": "package-operation",
-            "manager": "npm|pip|yarn|composer|etc",
+            "manager": "npm|pip",
             "action": "install|uninstall|update|init|run",
             "packages": ["package1", "package2"],
             "options": "additional flags",
@@ -544,30 +1323,58 @@ Respond with a detailed JSON execution plan:
         {
             // For process management
             "type": "process-operation",
-            "action": "start|stop|list",
+            "action": "start|stop|restart|list|stack-up|stack-down",
             "command": "command to run",
             "options": {
                 "name": "process name",
+                "stack": "stack name from slaveshell.stacks.json (stack-up/stack-down)",
+                "services": ["only these services of the stack, plus what they depend on (stack-up)"],
                 "waitForExit": false,
                 "cwd": "working directory",
-                "logFile": "path/to/log.txt"
+                "logFile": "path/to/log.txt",
+                "logRotation": { "maxSize": "10m", "keep": 3 },
+                "restart": "never|on-failure|always",
+                "maxRetries": 5,
+                "healthCheck": { "type": "http|tcp", "url": "http://localhost:3000/health", "port": 3000, "startupTimeout": 30000 },
+                "alerts": { "rssMb": 512, "cpu": 90 }
             }
         },
         {
             // For database operations
             "type": "database-operation",
             "dbType": "mongodb|mysql|postgres|sqlite",
-            "action": "create-collection|insert|query|drop-collection|etc",
-            "connectionString": "database connection string",
+            // mongodb: create-collection|insert|query|update|delete|count|create-index|aggregate|list-collections|stats|drop-collection|backup|restore
+            // mysql, postgres, sqlite: create-table|insert|query|drop-table|describe|list-tables|backup|restore
+            "action": "see above",
+            "connectionString": "database connection string (for sqlite: path to the database file)",
             "database": "database name",
-            "collection": "collection/table name",
+            "collection": "collection name (mongodb)",
+            "table": "table name (sql)",
+            "fields": { "column": "sql type and constraints, e.g. integer primary key" },
             "data": [/* data objects */],
-            "query": {/* query object */}
+            "query": {/* mongodb filter for query, update, delete and count */},
+            "projection": {/* mongodb projection for query */},
+            "sort": {/* mongodb sort for query */},
+            "update": {/* mongodb update document, e.g. { "$set": { "price": 10 } } */},
+            "keys": {/* index keys for create-index, e.g. { "email": 1 } */},
+            "unique": true,
+            "pipeline": [/* mongodb aggregation stages */],
+            "sql": "parameterised sql for sql query actions, e.g. SELECT * FROM users WHERE age > ?",
+            "params": [/* values for the sql placeholders */],
+            "where": {/* column equality filter for sql queries without sql */},
+            "limit": 100,
+            "output": "optional file (.json or .csv) to export query results to instead of printing a table; for backup: file or directory (default backups/)",
+            "format": "json|sql (backup only; sql is for sql databases)",
+            "gzip": false,
+            "include": [/* backup/restore only these collections or tables */],
+            "exclude": [/* skip these collections or tables */],
+            "input": "backup file to restore from",
+            "replace": false // restore: drop the existing collections or tables first
         },
         {
             // For git operations
             "type": "git-operation",
-            "action": "init|clone|add|commit|push|checkout|etc",
+            "action": "init|clone|add|commit|push|checkout",
             "repository": "repo URL for clone",
             "branch": "branch name",
             "message": "commit message"
@@ -590,114 +1397,604 @@ Respond with a detailed JSON execution plan:
         "needsMonitoring": boolean,
         "estimated_time": "time estimate in minutes"
     }
-        IMPORTANT: Return ONLY the JSON object with no additional text before or after it. Ensure that all comments are removed from the JSON response.
+${secretNames.length > 0 ? `        Stored secrets, usable in any string value as {{secret:NAME}} (never ask for or invent their values): ${secretNames.join(', ')}
+` : ''}        IMPORTANT: Return ONLY the JSON object with no additional text before or after it. Ensure that all comments are removed from the JSON response.
 
 }
 `;
 
-const response = await model.generateContent(prompt);
-const rawResponse = response.response.text();
+        if (!plan) {
+            plan = await generatePlan(prompt, spinner, log, { request: userCommand });
+            log.info('Plan generated', {
+                description: plan.context.description,
+                actions: plan.actions.map(action => action.type),
+                durationMs: Date.now() - startTime
+            });
+            
+            spinner.succeed(chalk.green(`✓ Command parsed: ${plan.context.description}`));
+        }
+        
+        projectState.lastPlan = { command: userCommand, plan };
+        
+        outcome = await runPlan(plan, userCommand, { ...runOptions, commandId });
+    } catch (error) {
+        if (spinner) spinner.fail(chalk.red(`❌ Error: ${error.message}`));
+        log.error('Command failed before running', { error, outcome: 'failed', durationMs: Date.now() - startTime });
+        outcome = { success: false, error: error.message };
+    }
+    
+    const entry = await recordHistory(userCommand, plan, outcome, { durationMs: Date.now() - startTime, rerunOf });
+    await recordTurn(userCommand, cwd, plan, outcome);
+    
+    if (prompt && canSelfHeal(outcome, runOptions)) {
+        outcome = await selfHeal(userCommand, prompt, outcome, { entry, cwd, log, runOptions, commandId });
+    }
+    return outcome;
+}
+
+// A run can be healed when self-healing is on (in the config or with --heal)
+// and it failed in one of its steps, not in planning or review
+function canSelfHeal(outcome, options = {}) {
+    return (options.heal || projectState.config.selfHeal.enabled) &&
+        !outcome.success && !outcome.cancelled && !outcome.dryRun &&
+        Boolean(outcome.plan && outcome.results && outcome.results.some(result => result.status === 'failed'));
+}
+
+// Longer error output keeps its end, where the cause usually is
+const MAX_ERROR_CHARS = 3000;
 
-// Clean and parse JSON
-let jsonStr = rawResponse.trim();
+// Self-healing: the failed step, its command and error output go back to the
+// model, whose corrective plan is reviewed like any other before it runs.
+// Stops at the first attempt that succeeds, is cancelled or cannot be
+// planned, or after selfHeal.maxAttempts. Every attempt is recorded in history
+// as a fix of the original command.
+async function selfHeal(command, prompt, outcome, { entry, cwd, log, runOptions, commandId }) {
+    const maxAttempts = projectState.config.selfHeal.maxAttempts;
+    
+    for (let attempt = 1; attempt <= maxAttempts && canSelfHeal(outcome, runOptions); attempt++) {
+        const failedIndex = outcome.results.length - 1;
+        const failed = outcome.results[failedIndex];
+        const actions = outcome.plan.actions;
+        const error = redact(failed.error || '');
+        
+        console.log(chalk.yellow(`\n🩹 Self-healing (attempt ${attempt}/${maxAttempts}): asking the AI how to fix "${failed.action}"`));
+        log.info('Self-healing attempt', { attempt, step: failed.action, error });
+        const startTime = Date.now();
+        const spinner = ora('Looking for a fix...').start();
+        let plan = null;
+        try {
+            plan = await generatePlan(`${prompt}
+A plan for this command was approved and run, but one of its steps failed.
+
+Steps that succeeded (do not repeat them):
+${actions.slice(0, failedIndex).map(action => `- ${describeAction(action)}`).join('\n') || '- none'}
 
-if (jsonStr.includes('```')) {
-    const matches = jsonStr.match(/```(?:json)?([\s\S]*?)```/);
-    jsonStr = matches ? matches[1].trim() : jsonStr;
+Failed step:
+${JSON.stringify(actions[failedIndex], null, 2)}
+
+Its error output:
+${error.length > MAX_ERROR_CHARS ? `...${error.slice(-MAX_ERROR_CHARS)}` : error}
+
+Steps that did not run yet:
+${actions.slice(failedIndex + 1).map(action => `- ${describeAction(action)}`).join('\n') || '- none'}
+
+Return a new JSON execution plan that fixes the cause (for example installs a missing dependency or corrects a
+wrong path or command) and then completes the failed step and the steps that did not run yet.
+`, spinner, log, { request: command });
+            spinner.succeed(chalk.green(`✓ Fix proposed: ${plan.context.description}`));
+            outcome = await runPlan(plan, `${command} (fix ${attempt})`, { ...runOptions, commandId });
+        } catch (planError) {
+            spinner.fail(chalk.red(`❌ No fix: ${planError.message}`));
+            outcome = { success: false, error: planError.message };
+        }
+        
+        log.info('Self-healing finished', { attempt, outcome: outcomeName(outcome), durationMs: Date.now() - startTime });
+        await recordHistory(command, plan, outcome, {
+            durationMs: Date.now() - startTime,
+            fixOf: entry ? entry.n : undefined,
+            attempt
+        });
+        await recordTurn(`${command} (fix ${attempt})`, cwd, plan, outcome);
+    }
+    
+    if (canSelfHeal(outcome, runOptions)) {
+        console.log(chalk.red(`🩹 Still failing after ${maxAttempts} fix attempt${maxAttempts === 1 ? '' : 's'}`));
+    }
+    return outcome;
 }
 
-if (jsonStr.includes('{') && jsonStr.includes('}')) {
-    const start = jsonStr.indexOf('{');
-    const end = jsonStr.lastIndexOf('}') + 1;
-    jsonStr = jsonStr.substring(start, end);
+// What the prompt is told about the current directory, with secrets masked
+async function projectContext() {
+    let processes = [];
+    try {
+        processes = await listSupervised();
+    } catch (error) {
+        // the context is still useful without them
+    }
+    const context = await collectContext(projectState.currentDirectory, {
+        maxTokens: projectState.config.context.maxTokens,
+        processes
+    });
+    return { ...context, text: redact(context.text) };
 }
 
-jsonStr = jsonStr
-    .replace(/[\u200B-\u200D\uFEFF]/g, '') // Remove zero-width spaces
-    .replace(/,(\s*[}\]])/g, '$1') // Remove trailing commas
-    .trim();
+// `context`: shows exactly what the next prompt will be told about the project
+async function showContext() {
+    const { enabled, maxTokens } = projectState.config.context;
+    const context = await projectContext();
+    
+    console.log(chalk.cyan(`\n🧭 Project context${enabled ? '' : ' (turned off in settings, not sent)'}`));
+    console.log(chalk.yellow('─'.repeat(50)));
+    console.log(context.text);
+    console.log(chalk.yellow('─'.repeat(50)));
+    console.log(chalk.gray(`~${context.tokens} of ${maxTokens} tokens`));
+    for (const section of context.sections.filter(item => item.status !== 'sent')) {
+        console.log(chalk.gray(`${section.title}: ${section.status}`));
+    }
+}
+
+// `output`: the commands run recently with their status and time taken;
+// `output <n>` prints all of what command n wrote, collapsed or not
+function handleOutputCommand(args) {
+    const steps = recentOutputs();
+    if (steps.length === 0) {
+        console.log(chalk.yellow('No commands have run yet in this session.'));
+        return;
+    }
+    
+    if (args.length === 0) {
+        const icons = { ok: chalk.green('✔'), failed: chalk.red('✖'), cancelled: chalk.yellow('⏹'), timedOut: chalk.red('⏱') };
+        for (const step of steps) {
+            const lines = step.output ? step.output.trimEnd().split('\n').length : 0;
+            console.log(`${chalk.gray(String(step.id).padStart(4))}  ${icons[step.status]}  ${step.label}  ${chalk.gray(`(${formatDuration(step.durationMs)}, ${lines} line${lines === 1 ? '' : 's'})`)}`);
+        }
+        console.log(chalk.gray('Type output <n> to see all of it'));
+        return;
+    }
+    
+    const step = steps.find(item => item.id === parseInt(args[0], 10));
+    if (!step) {
+        console.log(chalk.yellow(`No output for ${args[0]}; the last ${steps.length} commands are kept (see output)`));
+        return;
+    }
+    console.log(chalk.cyan(`\n▶ ${step.label}`));
+    console.log(chalk.gray(`${step.cwd || projectState.currentDirectory}, ${step.status}, ${formatDuration(step.durationMs)}`));
+    console.log(chalk.yellow('─'.repeat(50)));
+    console.log(step.output.trimEnd() || chalk.gray('(no output)'));
+    console.log(chalk.yellow('─'.repeat(50)));
+}
 
+function outcomeName(outcome) {
+    if (outcome.dryRun) return 'dry-run';
+    if (outcome.cancelled) return 'cancelled';
+    return outcome.success ? 'success' : 'failed';
+}
 
-let plan;
-try {
-    plan = JSON.parse(jsonStr);
-} catch (parseError) {
-    throw new Error(`JSON Parse Error: ${parseError.message}\nCleaned JSON: ${jsonStr}`);
+// Saves a finished AI command with its plan to the persistent history and
+// returns the entry. The plan is stored as generated (before review), so
+// `!<n>` offers all of it again.
+async function recordHistory(command, plan, outcome, extra = {}) {
+    try {
+        return await projectState.history.add({
+            command,
+            cwd: projectState.currentDirectory,
+            description: plan ? plan.context.description : null,
+            plan,
+            outcome: outcomeName(outcome),
+            error: redact(outcome.error),
+            ...extra
+        });
+    } catch (error) {
+        projectState.logger.warn(`Could not save command history: ${error.message}`);
+        return null;
+    }
 }
-        
-        spinner.succeed(chalk.green(`✓ Command parsed: ${plan.context.description}`));
-        
-        // Record command in history
-        projectState.history.push({
-            command: userCommand,
-            timestamp: new Date(),
-            type: plan.type,
-            description: plan.context.description
+
+// Adds a finished command to the session: the effects of the actions that
+// actually ran, the processes they started and the error, if any
+async function recordTurn(command, cwd, plan, outcome) {
+    let effects = [];
+    const executed = outcome.plan || plan;
+    if (executed && !outcome.dryRun && !outcome.cancelled) {
+        const done = outcome.success
+            ? executed.actions
+            : executed.actions.slice(0, (outcome.results || []).filter(result => result.status === 'ok').length);
+        effects = listEffects({ ...executed, actions: done }, cwd).map(effect => `${effect.kind} ${effect.text}`);
+    }
+    
+    try {
+        await projectState.session.add({
+            command,
+            cwd,
+            description: plan ? plan.context.description : null,
+            outcome: outcomeName(outcome),
+            effects,
+            processes: (outcome.results || []).map(({ result }) => result && result.processName).filter(Boolean),
+            error: redact(outcome.error)
         });
+    } catch (error) {
+        projectState.logger.warn(`Could not save the session: ${error.message}`);
+    }
+}
+
+const OUTCOME_ICONS = {
+    success: chalk.green('✔'),
+    failed: chalk.red('✖'),
+    cancelled: chalk.yellow('⏹'),
+    'dry-run': chalk.blue('~')
+};
+
+function printHistory(entries) {
+    for (const entry of entries) {
+        const ago = formatUptime(Math.max(0, Math.floor((Date.now() - new Date(entry.timestamp)) / 1000)));
+        const details = [`${ago} ago`, formatDuration(entry.durationMs || 0)];
+        if (entry.cwd && entry.cwd !== projectState.currentDirectory) details.push(`in ${entry.cwd}`);
+        if (entry.rerunOf) details.push(`re-run of ${entry.rerunOf}`);
+        if (entry.fixOf) details.push(`fix ${entry.attempt} for ${entry.fixOf}`);
+        console.log(`${chalk.gray(String(entry.n).padStart(5))}  ${OUTCOME_ICONS[entry.outcome] || ' '}  ${entry.command}  ${chalk.gray(`(${details.join(', ')})`)}`);
+        if (entry.outcome === 'failed' && entry.error) {
+            console.log(chalk.gray(`          ${entry.error.split('\n')[0]}`));
+        }
+    }
+}
+
+// `history [count]` and `history search <text>`
+async function handleHistoryCommand(args) {
+    try {
+        const entries = args[0] === 'search'
+            ? await projectState.history.search(args.slice(1).join(' '))
+            : await projectState.history.list(args[0] ? parseInt(args[0], 10) || 20 : 20);
         
-        // Execute actions based on type
-        for (const action of plan.actions) {
-            switch (action.type) {
-                case 'project-setup':
-                    await handleProjectSetup(action);
-                    break;
-                    
-                case 'file-operation':
-                    const result = await performFileOperation(action);
-                    if(result.success && result.content){
-                        console.log(chalk.cyan('\n📄 File contents:'));
-                        console.log(chalk.yellow('─'.repeat(50)));
-                        console.log(result.content);
-                        console.log(chalk.yellow('─'.repeat(50)));
-                    }
-                    break;
-                    
-                case 'package-operation':
-                    await handlePackageOperation(action);
-                    break;
-                    
-                case 'process-operation':
-                    switch (action.action) {
-                        case 'start':
-                            await startProcess(action.command, action.options);
-                            break;
-                        case 'stop':
-                            await stopProcess(action.options.name);
-                            break;
-                        case 'list':
-                            const processes = await listProcesses();
-                            console.table(processes);
-                            break;
-                    }
-                    break;
-                    
-                case 'database-operation':
-                    await handleDatabaseOperation(action);
-                    break;
-                    
-                case 'git-operation':
-                    await handleGitOperation(action);
-                    break;
-                    
-                case 'deploy-operation':
-                    await handleDeployment(action);
-                    break;
-                    
-                default:
-                    console.log(chalk.yellow(`⚠️ Unsupported action type: ${action.type}`));
+        if (args[0] === 'search' && args.length < 2) {
+            console.log(chalk.yellow('Usage: history [count] | history search <text>'));
+            return;
+        }
+        if (entries.length === 0) {
+            console.log(chalk.yellow(args[0] === 'search' ? 'No matching commands.' : 'No commands in history yet.'));
+            return;
+        }
+        printHistory(entries);
+        console.log(chalk.gray(`Run one again with ${chalk.yellow('!<number>')} (its saved plan is reused), ${chalk.yellow('!!')} for the last one.`));
+    } catch (error) {
+        console.error(chalk.red(`❌ History error:`), error.message);
+    }
+}
+
+const SESSION_USAGE = 'Usage: session [show] | session new | session save <name> | session load <name> | session list';
+
+// `session ...`: the conversation memory sent with each prompt
+async function handleSessionCommand(args) {
+    const [subcommand = 'show', name] = args;
+    const session = projectState.session;
+    
+    try {
+        switch(subcommand) {
+            case 'show': {
+                const label = session.name ? `"${session.name}"` : 'unsaved';
+                console.log(chalk.cyan(`\n💬 Session ${label}: ${session.turns.length} command${session.turns.length === 1 ? '' : 's'}`));
+                const conversation = session.toPrompt(projectState.config.session);
+                if (!conversation) {
+                    console.log(chalk.gray(session.turns.length > 0
+                        ? 'session.maxTurns is 0, so the next prompt is sent without earlier commands.'
+                        : 'Nothing yet; the next prompt is sent without earlier commands.'));
+                    return;
+                }
+                console.log(chalk.gray(`Sent with the next prompt (last ${conversation.turns}, within ${projectState.config.session.maxTokens} tokens):`));
+                console.log(conversation.text);
+                return;
+            }
+            
+            case 'new':
+                session.clear();
+                console.log(chalk.green('💬 Started a new session; earlier commands are no longer sent to the AI.'));
+                return;
+            
+            case 'save': {
+                if (!name) throw new Error(SESSION_USAGE);
+                const file = await session.save(name);
+                console.log(chalk.green(`💬 Saved session ${name} to ${file}; new commands are added to it automatically.`));
+                return;
+            }
+            
+            case 'load':
+                if (!name) throw new Error(SESSION_USAGE);
+                await session.load(name);
+                console.log(chalk.green(`💬 Loaded session ${name} (${session.turns.length} commands)`));
+                return;
+            
+            case 'list': {
+                const sessions = await session.list();
+                if (sessions.length === 0) {
+                    console.log(chalk.yellow(`No saved sessions. Save this one with ${chalk.cyan('session save <name>')}.`));
+                    return;
+                }
+                console.table(sessions.map(item => ({
+                    name: item.name + (item.name === session.name ? ' (current)' : ''),
+                    commands: item.turns,
+                    saved: item.savedAt ? new Date(item.savedAt).toLocaleString() : '-'
+                })));
+                return;
+            }
+            
+            default:
+                throw new Error(SESSION_USAGE);
+        }
+    } catch (error) {
+        console.error(chalk.red('❌ Session:'), error.message);
+    }
+}
+
+const SECRETS_USAGE = `Usage: secrets [list] | secrets set <name> [--type ${SECRET_TYPES.join('|')}] | secrets remove <name>
+       secrets passphrase | secrets import-config`;
+
+// `secrets ...`: manage the encrypted secrets store. Values are always typed
+// at a hidden prompt, never on the command line where history would keep them.
+async function handleSecretsCommand(args) {
+    const [subcommand = 'list', name, ...rest] = args;
+    const store = projectState.secrets;
+    
+    try {
+        switch(subcommand) {
+            case 'list': {
+                const secrets = await store.list();
+                if (secrets.length === 0) {
+                    console.log(chalk.yellow(`No secrets stored. Add one with ${chalk.cyan('secrets set <name>')}.`));
+                    return;
+                }
+                console.table(secrets.map(secret => ({
+                    name: secret.name,
+                    type: secret.type,
+                    reference: `{{secret:${secret.name}}}`,
+                    updated: new Date(secret.updatedAt).toLocaleString()
+                })));
+                return;
+            }
+            
+            case 'set': {
+                if (!name) throw new Error(SECRETS_USAGE);
+                const typeIndex = rest.indexOf('--type');
+                const type = typeIndex >= 0 ? rest[typeIndex + 1] : 'other';
+                if (!SECRET_TYPES.includes(type)) {
+                    throw new Error(`Unknown secret type: ${type} (use ${SECRET_TYPES.join(', ')})`);
+                }
+                await unlockSecrets();
+                const { value } = await inquirer.prompt([{
+                    type: 'password',
+                    name: 'value',
+                    message: `Value for ${name}:`,
+                    validate: input => input.length > 0 ? true : 'A secret cannot be empty'
+                }]);
+                const replacing = store.has(name);
+                await store.set(name, value, type);
+                console.log(chalk.green(`🔐 ${replacing ? 'Updated' : 'Stored'} ${name}; plans can use it as {{secret:${name}}}`));
+                return;
+            }
+            
+            case 'remove': {
+                if (!name) throw new Error(SECRETS_USAGE);
+                await unlockSecrets();
+                await store.remove(name);
+                console.log(chalk.green(`Removed secret ${name}`));
+                return;
+            }
+            
+            case 'passphrase': {
+                await unlockSecrets();
+                const { passphrase } = await inquirer.prompt([{
+                    type: 'password',
+                    name: 'passphrase',
+                    message: 'New passphrase:',
+                    validate: input => input.length >= 8 ? true : 'Use at least 8 characters'
+                }, {
+                    type: 'password',
+                    name: 'confirm',
+                    message: 'Repeat the passphrase:',
+                    validate: (input, answers) => input === answers.passphrase ? true : 'The passphrases do not match'
+                }]);
+                await store.changePassphrase(passphrase);
+                console.log(chalk.green('🔐 Passphrase changed'));
+                return;
+            }
+            
+            // Moves API keys written in plain text in the config file into the store
+            case 'import-config': {
+                const plain = [['apiKey', 'gemini-api-key'], ['providerApiKey', 'provider-api-key']]
+                    .filter(([key]) => settings.global[key] && findSecretRefs(settings.global[key]).length === 0);
+                const profile = settings.profile && (settings.global.profiles || {})[settings.profile];
+                if (plain.length === 0) {
+                    console.log(chalk.green('No plain-text API keys in the config file.'));
+                    return;
+                }
+                if (profile) {
+                    throw new Error(`Switch to no profile first (settings → Switch profile); the keys are in the global settings`);
+                }
+                for (const [key, secretName] of plain) {
+                    await saveSecretSetting(key, secretName, settings.global[key]);
+                    console.log(chalk.green(`🔐 Moved ${key} to the secrets store as ${secretName}`));
+                }
+                return;
             }
+            
+            default:
+                throw new Error(SECRETS_USAGE);
         }
+    } catch (error) {
+        console.error(chalk.red('❌ Secrets:'), error.message);
+    }
+}
+
+// Per-step timing once a plan with several steps has run (or stopped)
+function printStepTimes(results, totalMs) {
+    if (results.length < 2) return;
+    const icons = { ok: chalk.green('✔'), failed: chalk.red('✖'), cancelled: chalk.yellow('⏹') };
+    console.log(chalk.cyan(`\n⏱️  ${results.length} steps in ${formatDuration(totalMs)}`));
+    for (const result of results) {
+        console.log(`  ${icons[result.status]} ${chalk.gray(formatDuration(result.durationMs).padStart(8))}  ${result.action}`);
+    }
+}
+
+// Reviews a plan (or previews it with options.dryRun) and executes the
+// approved actions. Returns { success, plan, results, ... } describing the run.
+// options.commandId links the log records to the command that produced the plan.
+async function runPlan(plan, label, options = {}) {
+    const log = projectState.logger.child({ commandId: options.commandId || newCommandId() });
+    
+    if (options.dryRun) {
+        printPlan(plan);
+        printDryRun(plan, projectState.currentDirectory);
+        log.info('Plan previewed', { command: label, outcome: 'dry-run' });
+        return { success: true, dryRun: true, plan, effects: listEffects(plan, projectState.currentDirectory) };
+    }
+    
+    const approvedPlan = await reviewPlan(plan, { yes: options.yes, interactive: options.interactive });
+    if (!approvedPlan || approvedPlan.actions.length === 0) {
+        console.log(chalk.yellow('⏹️ Plan cancelled, nothing was executed'));
+        log.info('Plan cancelled', { command: label, outcome: 'cancelled' });
+        return { success: false, cancelled: true, plan };
+    }
+    
+    // Group this command's file changes so `undo` can revert them together
+    projectState.journal.begin(label);
+    const startTime = Date.now();
+    try {
+        const results = await executePlan(approvedPlan, { approved: true, logger: log });
+        printStepTimes(results, Date.now() - startTime);
+        log.info('Plan finished', { command: label, outcome: 'success', durationMs: Date.now() - startTime });
+        return { success: true, plan: approvedPlan, results };
+    } catch (error) {
+        console.error(chalk.red(`❌ Error: ${error.message}`));
+        printStepTimes(error.results || [], Date.now() - startTime);
+        log.error('Plan failed', { command: label, outcome: 'failed', error, durationMs: Date.now() - startTime });
+        return { success: false, plan: approvedPlan, results: error.results, error: error.message };
+    } finally {
+        await projectState.journal.commit();
+    }
+}
+
+// Asks the model for a plan, sending validation errors back for a bounded
+// number of repair attempts before giving up. options.request is the user's
+// command, passed on to the provider.
+async function generatePlan(prompt, spinner, log = projectState.logger, options = {}) {
+    const maxRepairs = projectState.config.planRepairAttempts;
+    log.debug('Asking the model for a plan', { provider: provider.name, model: provider.model });
+    let rawResponse = await provider.generate(prompt, options);
+    
+    for (let attempt = 1; ; attempt++) {
+        let plan;
+        let errors;
+        try {
+            plan = parsePlanResponse(rawResponse);
+            errors = validatePlan(plan);
+        } catch (parseError) {
+            errors = [parseError.message];
+        }
+        
+        if (errors.length === 0) return plan;
         
-        // Handle monitoring if needed
-        if (plan.context.needsMonitoring) {
-            console.log(chalk.cyan('👀 Setting up monitoring...'));
-            // Implement appropriate monitoring based on plan type
+        if (attempt > maxRepairs) {
+            throw new Error(`Invalid execution plan:\n${errors.map(error => `  - ${error}`).join('\n')}`);
         }
         
-        return true;
-    } catch (error) {
-        spinner.fail(chalk.red(`❌ Error: ${error.message}`));
-        return false;
+        log.warn(`Plan validation failed (${errors.length} errors), repair attempt ${attempt}`, { errors });
+        spinner.text = `Repairing plan (attempt ${attempt}/${maxRepairs})...`;
+        rawResponse = await provider.generate(`${prompt}
+Your previous response was not a valid execution plan:
+${rawResponse}
+
+Fix these problems and return the complete corrected JSON execution plan:
+${errors.map(error => `- ${error}`).join('\n')}
+`, options);
+    }
+}
+
+// Runs the actions of an approved plan in order
+// context.approved is set once the user has approved the plan, which allows
+// its exec steps to run through a shell. Returns one result per action; on
+// failure the results so far are attached to the thrown error.
+async function executePlan(plan, context = {}) {
+    const log = context.logger || projectState.logger;
+    const results = [];
+    
+    for (const action of plan.actions) {
+        const startTime = Date.now();
+        const fields = { action: action.type, operation: action.action, step: describeAction(action) };
+        try {
+            // Secrets are filled in only now, so the review and the logs show their names
+            const result = await executeAction(await resolveAction(action), context);
+            results.push({ action: describeAction(action), status: 'ok', durationMs: Date.now() - startTime, result });
+            log.info('Action finished', { ...fields, outcome: 'success', durationMs: Date.now() - startTime });
+        } catch (error) {
+            // a step stopped with Ctrl+C is not something to heal
+            const status = error.cancelled ? 'cancelled' : 'failed';
+            results.push({ action: describeAction(action), status, durationMs: Date.now() - startTime, error: error.message });
+            log.error('Action failed', { ...fields, outcome: 'failed', error, durationMs: Date.now() - startTime });
+            error.results = results;
+            throw error;
+        }
+    }
+    
+    // Show how the processes this plan started are doing
+    if (plan.context && plan.context.needsMonitoring) {
+        const started = results.map(({ result }) => result && result.processName).filter(Boolean);
+        if (started.length > 0) {
+            await showMonitorSnapshot(started);
+        }
+    }
+    
+    return results;
+}
+
+async function executeAction(action, context = {}) {
+    switch (action.type) {
+        case 'project-setup':
+            return await handleProjectSetup(action, context);
+            
+        case 'file-operation':
+            const result = await performFileOperation(action, context);
+            if(result.success && result.content){
+                console.log(chalk.cyan('\n📄 File contents:'));
+                console.log(chalk.yellow('─'.repeat(50)));
+                console.log(result.content);
+                console.log(chalk.yellow('─'.repeat(50)));
+            }
+            return result;
+            
+        case 'package-operation':
+            return await handlePackageOperation(action);
+            
+        case 'process-operation':
+            switch (action.action) {
+                case 'start':
+                    return await startProcess(action.command, action.options, context);
+                case 'stop':
+                    return await stopProcess(action.options.name);
+                case 'restart':
+                    return await restartProcess(action.options.name);
+                case 'list':
+                    const processes = await listProcesses();
+                    console.table(processes);
+                    return { success: true, processes };
+                case 'stack-up':
+                    if (!context.approved) {
+                        throw new Error('Refusing to start an unapproved stack');
+                    }
+                    return await stackUp(action.options && action.options.stack, (action.options && action.options.services) || []);
+                case 'stack-down':
+                    return await stackDown(action.options && action.options.stack);
+            }
+            break;
+            
+        case 'database-operation':
+            return await handleDatabaseOperation(action);
+            
+        case 'git-operation':
+            return await handleGitOperation(action);
+            
+        case 'deploy-operation':
+            return await handleDeployment(action, context);
+            
+        default:
+            console.log(chalk.yellow(`⚠️ Unsupported action type: ${action.type}`));
     }
 }
 
@@ -766,7 +2063,7 @@ try {
 //     }
 // }
 
-async function handleProjectSetup(setup) {
+async function handleProjectSetup(setup, context = {}) {
     console.log(chalk.blue(`🚀 Setting up ${setup.projectType} project: ${setup.name}`));
     
     // Store original directory before any changes
@@ -774,7 +2071,8 @@ async function handleProjectSetup(setup) {
     
     try {
         // Create project directory with absolute path
-        const projectPath = path.resolve(projectState.currentDirectory, setup.path || setup.name);
+        const projectPath = await checkSandbox(setup.path || setup.name, 'create project in');
+        await projectState.journal.recordMkdir(projectPath);
         await fs.mkdir(projectPath, { recursive: true });
         
         // Navigate to project directory
@@ -801,7 +2099,7 @@ async function handleProjectSetup(setup) {
                         await performFileOperation({
                             ...step,
                             path: path.join(projectPath, step.path || '')
-                        });
+                        }, context);
                         break;
                         
                     case 'process-operation':
@@ -810,26 +2108,30 @@ async function handleProjectSetup(setup) {
                             await startProcess(step.command, {
                                 ...step.options,
                                 cwd: projectPath
-                            });
+                            }, context);
                         } else if (step.action === 'stop') {
                             await stopProcess(step.options.name);
+                        } else if (step.action === 'restart') {
+                            await restartProcess(step.options.name);
                         }
                         break;
                         
                     case 'mkdir':
-                        const dirPath = path.join(projectPath, step.details.path || '');
+                        const dirPath = await checkSandbox(path.join(projectPath, step.details.path || ''), 'mkdir');
+                        await projectState.journal.recordMkdir(dirPath);
                         await fs.mkdir(dirPath, { recursive: true });
                         console.log(chalk.green(`📁 Created directory: ${dirPath}`));
                         break;
                         
                     case 'write':
-                        const writeFilePath = path.join(projectPath, step.details.path || '');
+                        const writeFilePath = await checkSandbox(path.join(projectPath, step.details.path || ''), 'write');
+                        await projectState.journal.recordWrite(writeFilePath);
                         await fs.writeFile(writeFilePath, step.details.content, 'utf8');
                         console.log(chalk.green(`📝 Created file: ${writeFilePath}`));
                         break;
                         
                     case 'exec':
-                        await execPromise(step.details.command);
+                        await runPlanShell(step.details.command, { cwd: projectPath, approved: context.approved });
                         break;
                         
                     default:
@@ -842,6 +2144,7 @@ async function handleProjectSetup(setup) {
         }
         
         console.log(chalk.green(`✅ Project setup complete: ${setup.name}`));
+        return { success: true, path: projectPath };
         
     } catch (error) {
         console.error(chalk.red(`❌ Project setup error:`), error.message);
@@ -859,7 +2162,9 @@ async function handleProjectSetup(setup) {
 }
 
 // Deployment handler
-async function handleDeployment(deployment) {
+async function handleDeployment(deployment, context = {}) {
+    const shellOptions = { cwd: projectState.currentDirectory, approved: context.approved };
+    
     console.log(chalk.blue(`🚀 Deploying to ${deployment.platform}...`));
     
     try {
@@ -867,26 +2172,28 @@ async function handleDeployment(deployment) {
             switch(step.type) {
                 case 'build':
                     console.log(chalk.cyan(`🔨 Building for deployment...`));
-                    await execPromise(step.command);
+                    await runPlanShell(step.command, shellOptions);
                     break;
                     
                 case 'config':
                     console.log(chalk.cyan(`⚙️ Configuring deployment...`));
                     if (step.path && step.content) {
-                        await fs.writeFile(step.path, step.content, 'utf8');
+                        const configFile = await checkSandbox(step.path, 'write');
+                        await projectState.journal.recordWrite(configFile);
+                        await fs.writeFile(configFile, step.content, 'utf8');
                     } else if (step.command) {
-                        await execPromise(step.command);
+                        await runPlanShell(step.command, shellOptions);
                     }
                     break;
                     
                 case 'upload':
                     console.log(chalk.cyan(`📤 Uploading to ${deployment.platform}...`));
-                    await execPromise(step.command);
+                    await runPlanShell(step.command, shellOptions);
                     break;
                     
                 case 'invoke':
                     console.log(chalk.cyan(`🔄 Invoking deployment command...`));
-                    await execPromise(step.command);
+                    await runPlanShell(step.command, shellOptions);
                     break;
                     
                 default:
@@ -895,6 +2202,7 @@ async function handleDeployment(deployment) {
         }
         
         console.log(chalk.green(`✅ Deployment to ${deployment.platform} complete!`));
+        return { success: true, platform: deployment.platform };
         
     } catch (error) {
         console.error(chalk.red(`❌ Deployment error:`), error.message);
@@ -902,8 +2210,325 @@ async function handleDeployment(deployment) {
     }
 }
 
+// `recipe save|list|edit|run|delete ...` commands
+// A saved recipe with its placeholders filled in, validated as a plan
+// Identifies a plan, so a recipe approved once can be recognised when it runs later
+function planHash(plan) {
+    return crypto.createHash('sha256').update(JSON.stringify(plan)).digest('hex');
+}
+
+async function recipePlan(name, params) {
+    const recipe = await loadRecipe(name);
+    const plan = fillPlaceholders(recipe.plan, params, recipe.defaults);
+    const errors = validatePlan(plan);
+    if (errors.length > 0) {
+        throw new Error(`Recipe ${name} is not a valid plan:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+    return plan;
+}
+
+async function handleRecipeCommand(args, options = {}) {
+    const [subcommand, name, ...rest] = args;
+    
+    try {
+        switch(subcommand) {
+            case 'save': {
+                if (!projectState.lastPlan) {
+                    console.log(chalk.yellow('⚠️ No plan to save yet. Run a command first.'));
+                    return;
+                }
+                const params = parseParams(rest);
+                const recipe = await saveRecipe(name, projectState.lastPlan.plan, {
+                    command: projectState.lastPlan.command,
+                    params
+                });
+                const placeholders = findPlaceholders(recipe.plan);
+                console.log(chalk.green(`💾 Saved recipe ${recipe.name}${placeholders.length ? ` with placeholders: ${placeholders.join(', ')}` : ''}`));
+                // Show where each value was replaced, so a wrong match is caught now
+                const saved = JSON.stringify(recipe.plan, null, 2).split('\n');
+                for (const key of Object.keys(params)) {
+                    const lines = saved.filter(line => line.includes(`{{${key}}}`));
+                    if (lines.length === 0) {
+                        console.log(chalk.yellow(`   ${key}=${params[key]}: not found in the plan (kept only as a default)`));
+                        continue;
+                    }
+                    console.log(chalk.gray(`   {{${key}}} replaced "${params[key]}" in:`));
+                    for (const line of lines) console.log(chalk.gray(`     ${line.trim()}`));
+                }
+                if (Object.keys(params).length > 0) {
+                    console.log(chalk.gray(`   Not right? ${chalk.cyan(`recipe edit ${recipe.name}`)}, or save again with other values`));
+                }
+                return;
+            }
+            
+            case 'list': {
+                const recipes = await listRecipes();
+                if (recipes.length === 0) {
+                    console.log(chalk.yellow(`No recipes saved yet. Use ${chalk.cyan('recipe save <name>')} after a command.`));
+                    return;
+                }
+                console.table(recipes.map(recipe => ({
+                    name: recipe.name,
+                    description: recipe.error || (recipe.plan.context && recipe.plan.context.description) || '',
+                    placeholders: recipe.plan ? findPlaceholders(recipe.plan).join(', ') : '',
+                    saved: recipe.createdAt ? new Date(recipe.createdAt).toLocaleString() : ''
+                })));
+                return;
+            }
+            
+            case 'edit':
+                await editRecipe(name);
+                console.log(chalk.green(`✏️ Recipe ${name} updated`));
+                return;
+            
+            case 'run': {
+                const plan = await recipePlan(name, parseParams(rest));
+                console.log(chalk.cyan(`📜 Running recipe ${name}`));
+                return await runPlan(plan, `recipe run ${args.slice(1).join(' ')}`, options);
+            }
+            
+            case 'delete':
+                await deleteRecipe(name);
+                console.log(chalk.green(`🗑️ Recipe ${name} deleted`));
+                return;
+            
+            default:
+                console.log(chalk.yellow(`Usage: recipe save <name> [key=value ...] | recipe list | recipe edit <name> | recipe run <name> [key=value ...] | recipe delete <name>`));
+        }
+    } catch (error) {
+        console.error(chalk.red(`❌ Recipe error:`), error.message);
+    }
+}
+
+// Stops file watchers and closes database connections. Background processes
+// belong to the supervisor and keep running.
+async function cleanup() {
+    const running = (await listSupervised()).filter(record => record.status === 'running');
+    if (running.length > 0) {
+        console.log(chalk.cyan(`▶️ ${running.length} background process(es) keep running: ${running.map(record => record.name).join(', ')} (see ${chalk.yellow('process list')})`));
+    }
+    
+    for (const rule of projectState.fileWatchers.values()) {
+        console.log(chalk.yellow(`👀 Stopping watch rule ${rule.id} for: ${rule.root}`));
+        await rule.close();
+    }
+    
+    for (const [key, connection] of projectState.databases.entries()) {
+        console.log(chalk.yellow(`🔌 Closing database connection: ${describeConnection(key)}`));
+        await connection.close();
+    }
+}
+
+// Non-interactive mode: `slave run|exec|script ...`. Returns the exit code.
+async function runCli({ mode, target, options }) {
+    const runOptions = { yes: options.yes, dryRun: options.dryRun, heal: options.heal, interactive: process.stdin.isTTY === true };
+    const outcomes = [];
+    if (options.timeout !== null) execOverrides.timeout = options.timeout;
+    
+    // Keep stdout clean for the JSON result
+    const stdout = console.log;
+    if (options.json) {
+        const stderrConsole = new Console(process.stderr, process.stderr);
+        console.log = stderrConsole.log.bind(stderrConsole);
+        console.table = stderrConsole.table.bind(stderrConsole);
+    }
+    
+    const exitCode = outcome => {
+        if (outcome.success) return EXIT_CODES.success;
+        return outcome.cancelled ? EXIT_CODES.notApproved : EXIT_CODES.failure;
+    };
+    
+    const run = async (label, execute) => {
+        const startTime = Date.now();
+        const outcome = await execute();
+        outcomes.push({
+            command: label,
+            success: outcome.success,
+            cancelled: outcome.cancelled || false,
+            dryRun: outcome.dryRun || false,
+            description: outcome.plan && outcome.plan.context ? outcome.plan.context.description : undefined,
+            effects: outcome.effects,
+            actions: outcome.results,
+            error: outcome.error,
+            durationMs: Date.now() - startTime
+        });
+        return exitCode(outcome);
+    };
+    
+    let code = EXIT_CODES.success;
+    try {
+        if (mode === 'exec') {
+            await loadConfig();
+            const file = path.resolve(target);
+            code = await run(file, async () => {
+                const plan = JSON.parse(await fs.readFile(file, 'utf8'));
+                const errors = validatePlan(plan);
+                if (errors.length > 0) {
+                    throw new Error(`Invalid execution plan in ${file}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+                }
+                return runPlan(plan, `exec ${file}`, runOptions);
+            });
+        } else {
+            if (!await initializeAI({ interactive: false })) {
+                return EXIT_CODES.failure;
+            }
+            
+            const commands = mode === 'run'
+                ? [target]
+                : parseScript(await fs.readFile(path.resolve(target), 'utf8'));
+            
+            // Scripts stop at the first command that does not succeed
+            for (const command of commands) {
+                console.log(chalk.blue(`\n>>: ${command}`));
+                code = await run(command, () => executeAICommand(command, runOptions));
+                if (code !== EXIT_CODES.success) break;
+            }
+        }
+    } catch (error) {
+        console.error(chalk.red(`❌ Error: ${error.message}`));
+        outcomes.push({ command: target, success: false, error: error.message });
+        code = EXIT_CODES.failure;
+    } finally {
+        await cleanup();
+    }
+    
+    if (options.json) {
+        stdout(JSON.stringify(mode === 'script' ? outcomes : outcomes[0], null, 2));
+    }
+    return code;
+}
+
 // Main loop with improved command handling
-async function main() {
+// The prompt reads input with async readline, so watch rules and other timers
+// keep running while it waits. Ctrl+C and Ctrl+D at the prompt exit cleanly.
+let activePrompt = null;
+// Lines for arrow-key recall, newest first; seeded from the saved history
+const promptHistory = [];
+const PROMPT_HISTORY_SIZE = 200;
+
+function rememberPrompt(line) {
+    const text = line.trim();
+    if (!text) return;
+    const index = promptHistory.indexOf(text);
+    if (index !== -1) promptHistory.splice(index, 1);
+    promptHistory.unshift(text);
+    promptHistory.length = Math.min(promptHistory.length, PROMPT_HISTORY_SIZE);
+}
+
+function ask(question) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            history: [...promptHistory],
+            historySize: PROMPT_HISTORY_SIZE
+        });
+        let answered = false;
+        const done = answer => {
+            if (answered) return;
+            answered = true;
+            activePrompt = null;
+            rl.close();
+            resolve(answer);
+        };
+        
+        activePrompt = rl;
+        rl.question(question, done);
+        rl.on('SIGINT', () => {
+            process.stdout.write('\n');
+            done('exit');
+        });
+        rl.on('close', () => done('exit'));
+    });
+}
+
+// Reprints the prompt (and whatever was typed) after background output
+function redrawPrompt() {
+    if (activePrompt) activePrompt.prompt(true);
+}
+
+// settings -> Switch profile: pick, create or leave a named profile. Changes
+// made in settings afterwards are saved to the active profile.
+async function switchProfile() {
+    const NONE = '(no profile: global settings)';
+    const NEW = 'Create a new profile';
+    const { choice } = await inquirer.prompt([{
+        type: 'list',
+        name: 'choice',
+        message: `Active profile: ${settings.profile || 'none'}. Switch to:`,
+        choices: [...settings.profiles(), NONE, NEW],
+        default: settings.profile || NONE
+    }]);
+    
+    let name = choice === NONE ? null : choice;
+    if (choice === NEW) {
+        ({ name } = await inquirer.prompt([{
+            type: 'input',
+            name: 'name',
+            message: 'Profile name (e.g. work, personal):',
+            validate: input => /^[\w-]+$/.test(input) ? true : 'Use letters, digits, _ and -'
+        }]));
+    }
+    
+    try {
+        await settings.useProfile(name);
+    } catch (error) {
+        console.error(chalk.red(error.message));
+        return;
+    }
+    if (process.env.SLAVESHELL_PROFILE) {
+        console.log(chalk.yellow(`SLAVESHELL_PROFILE=${process.env.SLAVESHELL_PROFILE} is set and wins over this choice until it is unset.`));
+    }
+    if (await initializeAI()) {
+        console.log(chalk.green(`Profile: ${settings.profile || 'none'} (AI provider: ${provider.name}, ${provider.model})`));
+    }
+}
+
+// settings -> Show configuration: every setting with the layer it came from
+function showConfiguration() {
+    const hidden = ['apiKey', 'providerApiKey'];
+    console.log(chalk.cyan(`\n⚙️  Configuration (profile: ${settings.profile || 'none'}${settings.project ? `, project file: ${settings.project.file}` : ''})`));
+    for (const [key, value] of Object.entries(projectState.config)) {
+        const shown = hidden.includes(key) && findSecretRefs(value).length === 0
+            ? (value ? '******** (plain text, see secrets import-config)' : '(not set)')
+            : JSON.stringify(value);
+        console.log(`  ${chalk.blue(key.padEnd(20))} ${shown} ${chalk.gray(`(${settings.source(key)})`)}`);
+    }
+}
+
+async function main(argv = process.argv.slice(2)) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        console.error(chalk.red(error.message));
+        console.error(USAGE);
+        process.exit(EXIT_CODES.usage);
+    }
+    
+    if (args.mode === 'help') {
+        console.log(USAGE);
+        return;
+    }
+    
+    // Secrets never reach the terminal, whoever prints them
+    redactOutput();
+    
+    if (args.options.cwd) {
+        const cwd = path.resolve(args.options.cwd);
+        try {
+            process.chdir(cwd);
+        } catch (error) {
+            console.error(chalk.red(`Cannot use --cwd ${cwd}: ${error.message}`));
+            process.exit(EXIT_CODES.usage);
+        }
+        projectState.currentDirectory = cwd;
+    }
+    
+    if (args.mode !== 'interactive') {
+        process.exit(await runCli(args));
+    }
+    
     console.clear();
     console.log(chalk.cyan(`
     ╔═══════════════════════════════════════════╗
@@ -917,6 +2542,10 @@ async function main() {
         process.exit(1);
     }
     
+    if (['apiKey', 'providerApiKey'].some(key => settings.global[key] && findSecretRefs(settings.global[key]).length === 0)) {
+        console.log(chalk.yellow(`⚠️  Your API key is stored in plain text in ${settings.file}. Run ${chalk.cyan('secrets import-config')} to encrypt it.`));
+    }
+    
     console.log(chalk.green(`
 AI Agent initialized successfully! This agent can:
 - Create complex projects (Node.js, Python, React, Full-stack apps)
@@ -928,29 +2557,39 @@ AI Agent initialized successfully! This agent can:
 - Deploy applications to various platforms
 
 Type ${chalk.yellow('help')} for examples, ${chalk.yellow('info')} for status, ${chalk.yellow('settings')} to configure, or ${chalk.yellow('exit')} to quit.`));
+    
+    try {
+        promptHistory.push(...await projectState.history.commands(PROMPT_HISTORY_SIZE));
+    } catch (error) {
+        projectState.logger.warn(`Could not read command history: ${error.message}`);
+    }
 
     while (true) {
-        const command = readline.question(chalk.blue('\n>>: '));
+        let command = await ask(chalk.blue('\n>>: '));
         
-        if (command.toLowerCase() === 'exit') {
-            // Cleanup
-            console.log(chalk.cyan('Cleaning up before exit...'));
-            
-            for (const [name, details] of projectState.runningProcesses.entries()) {
-                console.log(chalk.yellow(`⏹️ Stopping process: ${name}`));
-                await stopProcess(name);
-            }
-            
-            for (const [path, watcher] of projectState.fileWatchers.entries()) {
-                console.log(chalk.yellow(`👀 Stopping file watcher for: ${path}`));
-                watcher.close();
+        // !12, !-2 and !! run an earlier AI command again with its saved plan
+        let cachedPlan;
+        let rerunOf;
+        const rerun = command.trim().match(/^!(!|-?\d+)((?:\s+--dry-run)?)$/);
+        if (rerun) {
+            const entry = await projectState.history.get(rerun[1]);
+            if (!entry) {
+                console.log(chalk.yellow(`⚠️ No command ${command.trim()} in history (see ${chalk.cyan('history')})`));
+                continue;
             }
-            
-            for (const [connectionString, connection] of projectState.databases.entries()) {
-                console.log(chalk.yellow(`🔌 Closing database connection: ${connectionString}`));
-                await connection.close();
+            console.log(chalk.cyan(`🔁 ${entry.n}: ${entry.command}`) + chalk.gray(entry.plan ? ' (saved plan, no AI call)' : ''));
+            if (entry.cwd && entry.cwd !== projectState.currentDirectory) {
+                console.log(chalk.yellow(`⚠️ It ran in ${entry.cwd}; relative paths now resolve against ${projectState.currentDirectory}`));
             }
-            
+            command = entry.command + rerun[2];
+            cachedPlan = entry.plan || undefined;
+            rerunOf = entry.n;
+        }
+        rememberPrompt(command);
+        
+        if (command.toLowerCase() === 'exit') {
+            console.log(chalk.cyan('Cleaning up before exit...'));
+            await cleanup();
             console.log(chalk.green('Thank you for using Super AI Agent! Goodbye.'));
             break;
         }
@@ -984,6 +2623,63 @@ System Operations:
 - cron job setup karo database backup ke liye
 - memory usage monitor karo server ka
 
+Plan Review:
+- Every plan is shown as a tree with safe/mutating/destructive actions before it runs
+- Add ${chalk.yellow('--dry-run')} to any command to see what would run without running it
+
+Recipes:
+- ${chalk.yellow('recipe save mern-auth name=shop')} saves the last plan, turning "shop" into {{name}}
+- ${chalk.yellow('recipe run mern-auth name=store')} replays it without calling the AI
+- ${chalk.yellow('recipe list')}, ${chalk.yellow('recipe edit <name>')}, ${chalk.yellow('recipe delete <name>')}
+
+Background Processes:
+- Servers started in the background keep running after you exit
+- ${chalk.yellow('process list')} shows them, ${chalk.yellow('process tail <name>')} prints the end of their log
+- ${chalk.yellow('monitor')} shows CPU, memory and listening ports, ${chalk.yellow('monitor api --rss 500')} alerts above 500 MB
+- ${chalk.yellow('logs api -f')} follows a log, ${chalk.yellow('logs api web -f')} follows several at once
+- ${chalk.yellow('logs api --grep error --since 10m')} searches recent output, rotated files included
+- ${chalk.yellow('logs agent --level warn --since 1h')} shows the agent's own log (commands, actions, timings)
+- ${chalk.yellow('process stop <name>')}, ${chalk.yellow('process restart <name>')}, ${chalk.yellow('process remove <name>')}
+
+Watch Rules:
+- ${chalk.yellow('watch src/**/*.js --run npm test')} runs the tests whenever a file under src changes
+- ${chalk.yellow('watch server --on add,change,unlink --debounce 1000 --restart api')} restarts a background process
+- ${chalk.yellow('watch docs/*.md --recipe build-docs out=site')} replays a saved recipe
+- ${chalk.yellow('watch list')} shows the rules, ${chalk.yellow('unwatch <id>')} removes one
+
+Stacks (${STACK_FILE}):
+- ${chalk.yellow('stack up mern')} starts every service in dependency order, waiting until each is ready
+- ${chalk.yellow('stack status')}, ${chalk.yellow('stack logs mern -f')}, ${chalk.yellow('stack down mern')}
+
+Undo:
+- ${chalk.yellow('journal')} shows the file changes of recent commands
+- ${chalk.yellow('undo')} reverts the last command's file changes, ${chalk.yellow('undo 3')} the last three
+
+Self-Healing (${chalk.yellow('settings')} → Change self-healing):
+- When a step fails, its command and error output go to the AI, which proposes a fix plan for you to review
+
+History:
+- ${chalk.yellow('history')} lists past commands with their result, ${chalk.yellow('history search mongo')} finds them
+- ${chalk.yellow('!12')} runs command 12 again with its saved plan, ${chalk.yellow('!!')} the last one; ↑/↓ recall earlier input
+
+Sessions:
+- Follow-ups like "ab usme login route add karo" know what the previous commands created
+- ${chalk.yellow('session')} shows what is remembered, ${chalk.yellow('session new')} forgets it
+- ${chalk.yellow('session save shop')}, ${chalk.yellow('session load shop')}, ${chalk.yellow('session list')}
+
+Command Output:
+- Commands stream their output; Ctrl+C stops the running command and keeps the shell open
+- ${chalk.yellow('output')} lists recent commands with their time, ${chalk.yellow('output 3')} shows all of what command 3 printed
+- ${chalk.yellow('settings')} → Change command output sets the view and a time limit
+
+Project Context:
+- ${chalk.yellow('context')} shows what the AI is told about this directory: stack, scripts, git status, processes
+
+Secrets:
+- ${chalk.yellow('secrets set prod-db --type database')} stores a value encrypted; plans use it as {{secret:prod-db}}
+- ${chalk.yellow('secrets list')}, ${chalk.yellow('secrets remove <name>')}, ${chalk.yellow('secrets passphrase')}
+- ${chalk.yellow('secrets import-config')} moves API keys out of the plain-text config file
+
 Type ${chalk.yellow('info')} to see current status and ${chalk.yellow('settings')} to configure the agent.
             `));
             continue;
@@ -993,19 +2689,118 @@ Type ${chalk.yellow('info')} to see current status and ${chalk.yellow('settings'
             console.log(chalk.cyan(`
 📊 Current Status:
 Current directory: ${projectState.currentDirectory}
-Running processes: ${projectState.runningProcesses.size}
-File watchers: ${projectState.fileWatchers.size}
+AI provider: ${provider.name} (${provider.model})
+Config profile: ${settings.profile || 'none'}${settings.project ? ` (+ ${settings.project.file})` : ''}
+Session: ${projectState.session.name || 'unsaved'} (${projectState.session.turns.length} commands)
+Running processes: ${(await listSupervised()).filter(record => record.status === 'running').length}
+Watch rules: ${projectState.fileWatchers.size}
 Database connections: ${projectState.databases.size}
-Commands history: ${projectState.history.length}
+Commands history: ${await projectState.history.count()}
 
 Most recent commands:`));
 
-            const recentCommands = projectState.history.slice(-5).reverse();
-            for (const cmd of recentCommands) {
-                const timeAgo = Math.floor((new Date() - cmd.timestamp) / 1000);
-                console.log(chalk.gray(`${timeAgo}s ago: ${cmd.command}`));
+            printHistory(await projectState.history.list(5));
+            continue;
+        }
+        
+        if (command.toLowerCase() === 'journal') {
+            const transactions = await projectState.journal.list();
+            if (transactions.length === 0) {
+                console.log(chalk.yellow('Journal is empty, nothing to undo.'));
+                continue;
+            }
+            
+            console.log(chalk.cyan('\n🧾 File changes that undo would revert (most recent first):'));
+            transactions.forEach((transaction, index) => {
+                console.log(chalk.blue(`\n${index + 1}. ${transaction.command}`) + chalk.gray(` (${new Date(transaction.timestamp).toLocaleString()})`));
+                for (const entry of [...transaction.entries].reverse()) {
+                    console.log(chalk.gray(`   - ${describeEntry(entry)}`));
+                }
+            });
+            continue;
+        }
+        
+        const undoMatch = command.trim().match(/^undo(?:\s+(\d+))?$/i);
+        if (undoMatch) {
+            const count = parseInt(undoMatch[1] || '1', 10);
+            if (count < 1) {
+                console.log(chalk.yellow('Undo needs a count of at least 1, e.g. undo 3'));
+                continue;
+            }
+            const results = await projectState.journal.undo(count);
+            if (results.length === 0) {
+                console.log(chalk.yellow('Journal is empty, nothing to undo.'));
+                continue;
             }
             
+            for (const { transaction, reverted, failed } of results) {
+                projectState.logger.info(`Undo: ${transaction.command}`, { reverted: reverted.length, failed: failed.length, outcome: failed.length ? 'partial' : 'success' });
+                console.log(chalk.cyan(`↩️ Undoing: ${transaction.command}`));
+                for (const entry of reverted) {
+                    console.log(chalk.green(`   ✓ ${describeEntry(entry)}`));
+                }
+                for (const { entry, error } of failed) {
+                    console.log(chalk.yellow(`   ⚠️ Could not ${describeEntry(entry)}: ${error}`));
+                }
+            }
+            continue;
+        }
+        
+        if (/^monitor(\s|$)/i.test(command.trim())) {
+            await handleMonitorCommand(command.trim().split(/\s+/).slice(1));
+            continue;
+        }
+        
+        if (/^logs(\s|$)/i.test(command.trim())) {
+            await handleLogsCommand(command.trim().split(/\s+/).slice(1));
+            continue;
+        }
+        
+        if (/^process(\s|$)/i.test(command.trim())) {
+            await handleProcessCommand(command.trim().split(/\s+/).slice(1));
+            continue;
+        }
+        
+        if (/^session(\s|$)/i.test(command.trim())) {
+            await handleSessionCommand(command.trim().split(/\s+/).slice(1));
+            continue;
+        }
+        
+        if (/^output(\s|$)/i.test(command.trim())) {
+            handleOutputCommand(command.trim().split(/\s+/).slice(1));
+            continue;
+        }
+        
+        if (command.trim().toLowerCase() === 'context') {
+            await showContext();
+            continue;
+        }
+        
+        if (/^secrets(\s|$)/i.test(command.trim())) {
+            await handleSecretsCommand(command.trim().split(/\s+/).slice(1));
+            continue;
+        }
+        
+        if (/^history(\s|$)/i.test(command.trim())) {
+            await handleHistoryCommand(command.trim().split(/\s+/).slice(1));
+            continue;
+        }
+        
+        if (/^(watch|unwatch)(\s|$)/i.test(command.trim())) {
+            const [name, ...args] = command.trim().split(/\s+/);
+            await handleWatchCommand(name.toLowerCase(), args);
+            continue;
+        }
+        
+        if (/^stack(\s|$)/i.test(command.trim())) {
+            await handleStackCommand(command.trim().split(/\s+/).slice(1));
+            continue;
+        }
+        
+        if (/^recipe(\s|$)/i.test(command.trim())) {
+            const dryRun = /(^|\s)--dry-run(?=\s|$)/.test(command);
+            const args = command.replace(/(^|\s)--dry-run(?=\s|$)/g, ' ').trim().split(/\s+/).slice(1);
+            await handleRecipeCommand(args, { dryRun });
             continue;
         }
         
@@ -1016,10 +2811,19 @@ Most recent commands:`));
                 message: 'Select configuration option:',
                 choices: [
                     'Change API key',
+                    'Change AI provider',
                     'Change default project directory',
+                    'Change sandbox allowed roots',
                     'Change language (Hindi/English)',
                     'Change log level',
+                    'Change process log rotation',
+                    'Change monitor alert thresholds',
+                    'Change project context',
+                    'Change self-healing',
+                    'Change command output',
                     'Toggle auto-save',
+                    'Switch profile',
+                    'Show configuration',
                     'Back to main menu'
                 ]
             }]);
@@ -1034,12 +2838,65 @@ Most recent commands:`));
                         message: 'Enter new API key:',
                         validate: input => input.length > 0 ? true : 'API key cannot be empty'
                     }]);
-                    projectState.config.apiKey = apiKey;
-                    await saveConfig();
+                    try {
+                        await saveSecretSetting('apiKey', 'gemini-api-key', apiKey);
+                    } catch (error) {
+                        console.error(chalk.red('❌ Could not store the API key:'), error.message);
+                        break;
+                    }
                     // Reinitialize AI with new key
                     await initializeAI();
                     break;
                 
+                case 'Change AI provider':
+                    const providerAnswers = await inquirer.prompt([{
+                        type: 'list',
+                        name: 'provider',
+                        message: 'Select AI provider:',
+                        choices: PROVIDERS,
+                        default: projectState.config.provider
+                    }, {
+                        type: 'input',
+                        name: 'providerModel',
+                        message: 'Model name:',
+                        default: answers => projectState.config.provider === answers.provider && projectState.config.providerModel
+                            ? projectState.config.providerModel
+                            : providerDefaults[answers.provider].model,
+                        when: answers => answers.provider !== 'fake'
+                    }, {
+                        type: 'input',
+                        name: 'providerBaseUrl',
+                        message: 'Server URL:',
+                        default: answers => projectState.config.provider === answers.provider && projectState.config.providerBaseUrl
+                            ? projectState.config.providerBaseUrl
+                            : providerDefaults[answers.provider].baseUrl,
+                        when: answers => answers.provider === 'openai' || answers.provider === 'ollama'
+                    }, {
+                        type: 'password',
+                        name: 'providerApiKey',
+                        message: 'API key (leave empty if the server does not need one):',
+                        when: answers => answers.provider === 'openai'
+                    }]);
+                    const { providerApiKey, ...providerSettings } = providerAnswers;
+                    try {
+                        if (providerApiKey) {
+                            await saveSecretSetting('providerApiKey', 'provider-api-key', providerApiKey);
+                        }
+                    } catch (error) {
+                        console.error(chalk.red('❌ Could not store the API key:'), error.message);
+                        break;
+                    }
+                    await saveConfig({
+                        providerModel: '',
+                        providerBaseUrl: '',
+                        ...(providerApiKey ? {} : { providerApiKey: '' }),
+                        ...providerSettings
+                    });
+                    if (await initializeAI()) {
+                        console.log(chalk.green(`AI provider: ${provider.name} (${provider.model})`));
+                    }
+                    break;
+                
                 case 'Change default project directory':
                     const { projectDir } = await inquirer.prompt([{
                         type: 'input',
@@ -1047,8 +2904,19 @@ Most recent commands:`));
                         message: 'Enter default projects directory:',
                         default: projectState.config.defaultProjectsDir
                     }]);
-                    projectState.config.defaultProjectsDir = projectDir;
-                    await saveConfig();
+                    await saveConfig({ defaultProjectsDir: projectDir });
+                    break;
+                
+                case 'Change sandbox allowed roots':
+                    const { allowedRoots } = await inquirer.prompt([{
+                        type: 'input',
+                        name: 'allowedRoots',
+                        message: 'Extra directories file operations may touch (comma separated; the current and projects directories are always allowed):',
+                        default: (projectState.config.sandbox.allowedRoots || []).join(', ')
+                    }]);
+                    await saveConfig({
+                        sandbox: { allowedRoots: allowedRoots.split(',').map(root => root.trim()).filter(Boolean) }
+                    });
                     break;
                 
                 case 'Change language (Hindi/English)':
@@ -1058,8 +2926,7 @@ Most recent commands:`));
                         message: 'Select language:',
                         choices: ['hindi', 'english']
                     }]);
-                    projectState.config.language = language;
-                    await saveConfig();
+                    await saveConfig({ language });
                     break;
                 
                 case 'Change log level':
@@ -1069,21 +2936,157 @@ Most recent commands:`));
                         message: 'Select log level:',
                         choices: ['debug', 'info', 'warn', 'error']
                     }]);
-                    projectState.config.logLevel = logLevel;
-                    await saveConfig();
+                    await saveConfig({ logLevel });
+                    projectState.logger.setLogLevel(projectState.config.logLevel);
+                    break;
+                
+                case 'Change process log rotation': {
+                    const rotation = await inquirer.prompt([
+                        {
+                            type: 'input',
+                            name: 'maxSize',
+                            message: 'Rotate process logs at (e.g. 500k, 10m, 1g):',
+                            default: projectState.config.processLogs.maxSize,
+                            validate: input => {
+                                try {
+                                    parseSize(input);
+                                    return true;
+                                } catch (error) {
+                                    return error.message;
+                                }
+                            }
+                        },
+                        {
+                            type: 'number',
+                            name: 'keep',
+                            message: 'Number of rotated files to keep:',
+                            default: projectState.config.processLogs.keep,
+                            validate: input => Number.isInteger(input) && input >= 0 ? true : 'Enter 0 or more'
+                        }
+                    ]);
+                    await saveConfig({ processLogs: rotation });
+                    console.log(chalk.green(`Process logs rotate at ${rotation.maxSize}, keeping ${rotation.keep} old files (applies to processes started from now on)`));
+                    break;
+                }
+                
+                case 'Change monitor alert thresholds': {
+                    const { rssMb, cpu } = await inquirer.prompt([
+                        {
+                            type: 'number',
+                            name: 'rssMb',
+                            message: 'Alert when a process uses more memory than (MB, 0 = off):',
+                            default: projectState.config.monitor.thresholds.rssMb || 0
+                        },
+                        {
+                            type: 'number',
+                            name: 'cpu',
+                            message: 'Alert when a process uses more CPU than (%, 0 = off):',
+                            default: projectState.config.monitor.thresholds.cpu || 0
+                        }
+                    ]);
+                    await saveConfig({ monitor: { thresholds: { rssMb: rssMb || null, cpu: cpu || null } } });
+                    console.log(chalk.green('Alert thresholds saved (applies to processes started from now on; the monitor command uses them right away)'));
+                    break;
+                }
+                
+                case 'Change project context': {
+                    const context = await inquirer.prompt([
+                        {
+                            type: 'confirm',
+                            name: 'enabled',
+                            message: 'Tell the AI about the current project (stack, scripts, git status, processes)?',
+                            default: projectState.config.context.enabled
+                        },
+                        {
+                            type: 'number',
+                            name: 'maxTokens',
+                            message: 'At most how many tokens of context:',
+                            default: projectState.config.context.maxTokens,
+                            when: answers => answers.enabled,
+                            validate: input => Number.isInteger(input) && input >= 100 ? true : 'Enter 100 or more'
+                        }
+                    ]);
+                    await saveConfig({ context });
+                    console.log(chalk.green(`Project context: ${context.enabled ? `on, up to ${projectState.config.context.maxTokens} tokens` : 'off'}`));
+                    break;
+                }
+                
+                case 'Change self-healing': {
+                    const selfHeal = await inquirer.prompt([
+                        {
+                            type: 'confirm',
+                            name: 'enabled',
+                            message: 'When a step fails, send its error to the AI and offer a fix plan?',
+                            default: projectState.config.selfHeal.enabled
+                        },
+                        {
+                            type: 'number',
+                            name: 'maxAttempts',
+                            message: 'Fix attempts per command:',
+                            default: projectState.config.selfHeal.maxAttempts,
+                            when: answers => answers.enabled,
+                            validate: input => Number.isInteger(input) && input >= 1 && input <= 10 ? true : 'Enter 1 to 10'
+                        }
+                    ]);
+                    await saveConfig({ selfHeal });
+                    console.log(chalk.green(`Self-healing: ${selfHeal.enabled ? `on, up to ${projectState.config.selfHeal.maxAttempts} attempts` : 'off'}`));
+                    break;
+                }
+                
+                case 'Change command output': {
+                    const exec = await inquirer.prompt([
+                        {
+                            type: 'list',
+                            name: 'output',
+                            message: 'While a command runs, show:',
+                            choices: [
+                                { name: 'Its last lines, collapsed to one line when it succeeds', value: 'collapse' },
+                                { name: 'All of its output', value: 'full' }
+                            ],
+                            default: projectState.config.exec.output
+                        },
+                        {
+                            type: 'number',
+                            name: 'lines',
+                            message: 'How many lines:',
+                            default: projectState.config.exec.lines,
+                            when: answers => answers.output === 'collapse',
+                            validate: input => Number.isInteger(input) && input >= 1 && input <= 50 ? true : 'Enter 1 to 50'
+                        },
+                        {
+                            type: 'number',
+                            name: 'timeout',
+                            message: 'Stop a command after how many seconds (0 = never):',
+                            default: projectState.config.exec.timeout,
+                            validate: input => Number.isInteger(input) && input >= 0 ? true : 'Enter 0 or more'
+                        }
+                    ]);
+                    await saveConfig({ exec });
+                    const { timeout } = projectState.config.exec;
+                    console.log(chalk.green(`Command output: ${exec.output}, ${timeout ? `stopped after ${timeout}s` : 'no time limit'}`));
                     break;
+                }
                 
                 case 'Toggle auto-save':
-                    projectState.config.autoSave = !projectState.config.autoSave;
-                    await saveConfig();
+                    await saveConfig({ autoSave: !projectState.config.autoSave });
                     console.log(chalk.green(`Auto-save: ${projectState.config.autoSave ? 'ON' : 'OFF'}`));
                     break;
+                
+                case 'Switch profile':
+                    await switchProfile();
+                    break;
+                
+                case 'Show configuration':
+                    showConfiguration();
+                    break;
             }
             
             continue;
         }
         
-        await executeAICommand(command);
+        // "--dry-run" anywhere in the command previews the plan without running it
+        const dryRun = /(^|\s)--dry-run(?=\s|$)/.test(command);
+        await executeAICommand(command.replace(/(^|\s)--dry-run(?=\s|$)/g, ' ').trim(), { dryRun, plan: cachedPlan, rerunOf });
     }
 }
 
@@ -1092,41 +3095,28 @@ if (require.main === module) {
     main().catch(err => {
         console.error('❌ Fatal error:', err);
         
-        // Try to clean up any running processes
-        const runningProcessNames = [...projectState.runningProcesses.keys()];
-        if (runningProcessNames.length > 0) {
-            console.log(chalk.yellow('Attempting to stop running processes before exit...'));
-            runningProcessNames.forEach(name => {
-                try {
-                    const { process } = projectState.runningProcesses.get(name);
-                    process.kill();
-                    console.log(chalk.yellow(`⏹️ Stopped process: ${name}`));
-                } catch (e) {
-                    console.error(chalk.red(`Failed to stop process ${name}:`), e.message);
-                }
-            });
-        }
-        
         // Close watchers
-        for (const [path, watcher] of projectState.fileWatchers.entries()) {
+        for (const rule of projectState.fileWatchers.values()) {
             try {
-                watcher.close();
-                console.log(chalk.yellow(`👀 Stopped file watcher for: ${path}`));
+                rule.close();
+                console.log(chalk.yellow(`👀 Stopped watch rule ${rule.id} for: ${rule.root}`));
             } catch (e) {
-                console.error(chalk.red(`Failed to close watcher for ${path}:`), e.message);
+                console.error(chalk.red(`Failed to close watch rule ${rule.id}:`), e.message);
             }
         }
         
         // Close database connections
-        for (const [connectionString, connection] of projectState.databases.entries()) {
+        for (const [key, connection] of projectState.databases.entries()) {
             try {
                 connection.close();
-                console.log(chalk.yellow(`🔌 Closed database connection: ${connectionString}`));
+                console.log(chalk.yellow(`🔌 Closed database connection: ${describeConnection(key)}`));
             } catch (e) {
-                console.error(chalk.red(`Failed to close database connection ${connectionString}:`), e.message);
+                console.error(chalk.red(`Failed to close database connection ${describeConnection(key)}:`), e.message);
             }
         }
         
+        projectState.logger.error('Fatal error', { error: err && err.stack ? err.stack : String(err) });
+        
         // Log error to file
         const errorLog = path.join(os.homedir(), '.ai-agent-errors.log');
         const errorMessage = `${new Date().toISOString()} - Fatal error: ${err.stack || err.message || err}\n`;
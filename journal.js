@@ -0,0 +1,227 @@
+// journal.js
+// Undo journal for file changes made by AI commands. Before a file is
+// written, deleted, renamed or a directory created/removed, the previous state
+// is recorded (with a copy of any content kept in a trash area), so all changes
+// of one command can be rolled back together.
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+async function exists(target) {
+    try {
+        return await fs.lstat(target);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function copyRecursive(source, destination) {
+    const stat = await fs.lstat(source);
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+
+    if (stat.isSymbolicLink()) {
+        await fs.symlink(await fs.readlink(source), destination);
+    } else if (stat.isDirectory()) {
+        await fs.mkdir(destination, { recursive: true });
+        for (const entry of await fs.readdir(source)) {
+            await copyRecursive(path.join(source, entry), path.join(destination, entry));
+        }
+    } else {
+        await fs.copyFile(source, destination);
+    }
+}
+
+// Human readable description of how an entry will be reverted
+function describeEntry(entry) {
+    switch(entry.op) {
+        case 'create':
+            return `delete created file ${entry.path}`;
+        case 'write':
+            return `restore previous contents of ${entry.path}`;
+        case 'delete':
+            return `restore deleted ${entry.path}`;
+        case 'rename':
+            return `rename ${entry.to} back to ${entry.from}${entry.backup ? ` and restore the overwritten ${entry.to}` : ''}`;
+        case 'mkdir':
+            return `remove created directory ${entry.path} (if empty)`;
+        default:
+            return `${entry.op} ${entry.path}`;
+    }
+}
+
+class Journal {
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(os.homedir(), '.slaveshell', 'journal');
+        this.limit = options.limit || 50;
+        this.current = null;
+    }
+
+    get indexFile() {
+        return path.join(this.dir, 'journal.json');
+    }
+
+    async _load() {
+        try {
+            return JSON.parse(await fs.readFile(this.indexFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async _save(transactions) {
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(this.indexFile, JSON.stringify(transactions, null, 2), 'utf8');
+    }
+
+    _trashPath(transactionId) {
+        return path.join(this.dir, 'trash', transactionId);
+    }
+
+    async _backup(target) {
+        const backup = path.join(this._trashPath(this.current.id), String(this.current.entries.length));
+        await copyRecursive(target, backup);
+        return backup;
+    }
+
+    // Starts grouping file changes under one AI command
+    begin(command) {
+        this.current = {
+            id: `${Date.now().toString(36)}-${process.pid}`,
+            command,
+            timestamp: new Date().toISOString(),
+            entries: []
+        };
+    }
+
+    // Call before writing or appending to a file
+    async recordWrite(target) {
+        if (!this.current) return;
+        if (await exists(target)) {
+            this.current.entries.push({ op: 'write', path: target, backup: await this._backup(target) });
+        } else {
+            this.current.entries.push({ op: 'create', path: target });
+        }
+    }
+
+    // Call before deleting a file or directory
+    async recordDelete(target) {
+        if (!this.current || !await exists(target)) return;
+        this.current.entries.push({ op: 'delete', path: target, backup: await this._backup(target) });
+    }
+
+    // Call before renaming; an existing destination is backed up as well
+    async recordRename(from, to) {
+        if (!this.current) return;
+        const backup = await exists(to) ? await this._backup(to) : null;
+        this.current.entries.push({ op: 'rename', from, to, backup });
+    }
+
+    // Call before creating a directory; remembers every directory on the way
+    // that did not exist yet, outermost first
+    async recordMkdir(target) {
+        if (!this.current) return;
+
+        const created = [];
+        let current = path.resolve(target);
+        while (!await exists(current)) {
+            created.unshift(current);
+            const parent = path.dirname(current);
+            if (parent === current) break;
+            current = parent;
+        }
+
+        for (const dir of created) {
+            this.current.entries.push({ op: 'mkdir', path: dir });
+        }
+    }
+
+    // Saves the current command's entries (if any) and prunes old ones
+    async commit() {
+        const transaction = this.current;
+        this.current = null;
+        if (!transaction || transaction.entries.length === 0) return null;
+
+        const transactions = await this._load();
+        transactions.push(transaction);
+
+        const expired = transactions.splice(0, Math.max(0, transactions.length - this.limit));
+        for (const old of expired) {
+            await fs.rm(this._trashPath(old.id), { recursive: true, force: true });
+        }
+
+        await this._save(transactions);
+        return transaction;
+    }
+
+    // Most recent transactions first
+    async list(count = 10) {
+        const transactions = await this._load();
+        return transactions.slice(-count).reverse();
+    }
+
+    async _revert(entry) {
+        switch(entry.op) {
+            case 'create':
+                await fs.rm(entry.path, { force: true });
+                break;
+
+            case 'write':
+            case 'delete':
+                await fs.rm(entry.path, { recursive: true, force: true });
+                await copyRecursive(entry.backup, entry.path);
+                break;
+
+            case 'rename':
+                await fs.mkdir(path.dirname(entry.from), { recursive: true });
+                await fs.rename(entry.to, entry.from);
+                if (entry.backup) {
+                    await copyRecursive(entry.backup, entry.to);
+                }
+                break;
+
+            case 'mkdir':
+                // Other tools (npm, git) may have put files here; never remove those
+                await fs.rmdir(entry.path);
+                break;
+        }
+    }
+
+    // Rolls back the last `count` commands, newest first. Returns, for each
+    // command, the entries that were reverted and the ones that failed.
+    async undo(count = 1) {
+        // splice(-0) would take every transaction
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`Undo needs a count of at least 1, got ${count}`);
+        }
+        const transactions = await this._load();
+        const undone = transactions.splice(-count).reverse();
+        const results = [];
+
+        for (const transaction of undone) {
+            const result = { transaction, reverted: [], failed: [] };
+
+            for (const entry of [...transaction.entries].reverse()) {
+                try {
+                    await this._revert(entry);
+                    result.reverted.push(entry);
+                } catch (error) {
+                    result.failed.push({ entry, error: error.message });
+                }
+            }
+
+            // Keep the backups around if something could not be restored
+            if (result.failed.length === 0) {
+                await fs.rm(this._trashPath(transaction.id), { recursive: true, force: true });
+            }
+            results.push(result);
+        }
+
+        await this._save(transactions);
+        return results;
+    }
+}
+
+module.exports = Journal;
+module.exports.describeEntry = describeEntry;
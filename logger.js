@@ -1,61 +1,141 @@
 // logger.js
-const fs = require('fs').promises;
+// The agent log (~/.ai-agent.log): one JSON object per line with time, level
+// and message, plus fields such as commandId, action, durationMs and outcome.
+// The file is rotated by size the way process logs are, and getLogHistory
+// reads it back (rotated files included) for `logs agent`. Registered secrets
+// are masked before anything is written.
+const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const chalk = require('chalk');
+const { parseSize, rotateFile, logFiles } = require('./processLogs.js');
+const { redact, redactValue } = require('./secrets.js');
+
+const LEVELS = {
+    debug: 0,
+    info: 1,
+    warn: 2,
+    error: 3,
+    none: 4
+};
+
+const DEFAULT_ROTATION = { maxSize: '5m', keep: 3 };
+
+const levelColors = {
+    debug: chalk.gray,
+    info: chalk.blue,
+    warn: chalk.yellow,
+    error: chalk.red
+};
+
+// Errors in fields are written as their message
+function serializeFields(fields) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields || {})) {
+        if (value === undefined) continue;
+        result[key] = redactValue(value instanceof Error ? value.message : value);
+    }
+    return result;
+}
+
+// Lines written before the log was structured ("<ISO> [INFO] text") are still read
+function parseRecord(line) {
+    try {
+        const record = JSON.parse(line);
+        return { ...record, time: new Date(record.time) };
+    } catch (error) {
+        const match = /^(\S+) \[(\w+)\] (.*)$/.exec(line);
+        return match
+            ? { time: new Date(match[1]), level: match[2].toLowerCase(), message: match[3] }
+            : { time: null, level: 'info', message: line };
+    }
+}
+
+function formatRecord(record) {
+    const { time, level, message, ...fields } = record;
+    const color = levelColors[level] || chalk.white;
+    const extra = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    const stamp = time && !isNaN(time) ? chalk.gray(time.toLocaleString()) + ' ' : '';
+    return `${stamp}${color(level.toUpperCase().padEnd(5))} ${message}${extra ? chalk.gray(`  ${extra}`) : ''}`;
+}
 
 class Logger {
+    // options: logLevel, logFile, rotation ({ maxSize, keep }), console (echo
+    // records to the terminal as well, default true) and fields added to every record
     constructor(options = {}) {
         this.logLevel = options.logLevel || 'info';
         this.logFile = options.logFile || path.join(os.homedir(), '.ai-agent.log');
-        this.levels = {
-            debug: 0,
-            info: 1,
-            warn: 2,
-            error: 3,
-            none: 4
-        };
+        this.rotation = { ...DEFAULT_ROTATION, ...options.rotation };
+        this.console = options.console !== false;
+        this.fields = options.fields || {};
+        this.levels = LEVELS;
     }
 
     shouldLog(level) {
         return this.levels[level] >= this.levels[this.logLevel];
     }
 
-    async _writeToFile(level, message) {
+    // A logger that adds `fields` (e.g. { commandId }) to everything it writes
+    child(fields) {
+        const child = Object.create(this);
+        child.fields = { ...this.fields, ...fields };
+        return child;
+    }
+
+    // Appends synchronously so records keep their order and survive a crash.
+    // The supervisor daemon writes to the same file, so the size is checked on
+    // disk rather than counted.
+    _writeToFile(record) {
         try {
-            const formattedMessage = `${new Date().toISOString()} [${level.toUpperCase()}] ${message}\n`;
-            await fs.appendFile(this.logFile, formattedMessage);
+            const line = JSON.stringify(record) + '\n';
+            let size = 0;
+            try {
+                size = fs.statSync(this.logFile).size;
+            } catch (error) {
+                // not created yet
+            }
+            if (size > 0 && size + Buffer.byteLength(line) > parseSize(this.rotation.maxSize)) {
+                rotateFile(this.logFile, this.rotation.keep);
+            }
+            fs.appendFileSync(this.logFile, line);
         } catch (error) {
             console.error(chalk.red('Failed to write to log file:'), error.message);
         }
     }
 
-    debug(message, ...args) {
-        if (this.shouldLog('debug')) {
-            console.log(chalk.gray('[DEBUG]'), message, ...args);
-            this._writeToFile('debug', `${message} ${args.join(' ')}`);
+    log(level, message, fields = {}) {
+        if (!this.shouldLog(level)) return;
+
+        const record = {
+            time: new Date().toISOString(),
+            level,
+            message: redact(String(message)),
+            ...serializeFields(this.fields),
+            ...serializeFields(fields)
+        };
+        if (this.console) {
+            const print = level === 'error' ? console.error : console.log;
+            print(levelColors[level](`[${level.toUpperCase()}]`), record.message);
         }
+        this._writeToFile(record);
     }
 
-    info(message, ...args) {
-        if (this.shouldLog('info')) {
-            console.log(chalk.blue('[INFO]'), message, ...args);
-            this._writeToFile('info', `${message} ${args.join(' ')}`);
-        }
+    debug(message, fields) {
+        this.log('debug', message, fields);
     }
 
-    warn(message, ...args) {
-        if (this.shouldLog('warn')) {
-            console.log(chalk.yellow('[WARN]'), message, ...args);
-            this._writeToFile('warn', `${message} ${args.join(' ')}`);
-        }
+    info(message, fields) {
+        this.log('info', message, fields);
     }
 
-    error(message, ...args) {
-        if (this.shouldLog('error')) {
-            console.error(chalk.red('[ERROR]'), message, ...args);
-            this._writeToFile('error', `${message} ${args.join(' ')}`);
-        }
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
     }
 
     setLogLevel(level) {
@@ -67,17 +147,45 @@ class Logger {
         }
     }
 
-    async getLogHistory(lines = 10) {
-        try {
-            const data = await fs.readFile(this.logFile, 'utf8');
-            return data.split('\n').filter(Boolean).slice(-lines);
-        } catch (error) {
-            if (error.code === 'ENOENT') {
-                return [];
+    // The last `lines` records, oldest first. Filters: level (that level and
+    // above), since (a Date), grep (a RegExp tested against the message and fields).
+    async getLogHistory(options = {}) {
+        if (typeof options === 'number') options = { lines: options };
+        const { lines = 10, level, since, grep } = options;
+        const records = [];
+
+        for (const file of logFiles(this.logFile)) {
+            let data;
+            try {
+                data = await fs.promises.readFile(file, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+            for (const line of data.split('\n').filter(Boolean)) {
+                const record = parseRecord(line);
+                if (matchesRecord(record, { level, since, grep })) records.push(record);
             }
-            throw error;
         }
+
+        return records.slice(-lines);
     }
 }
 
-module.exports = Logger;
\ No newline at end of file
+function matchesRecord(record, { level, since, grep }) {
+    if (level && (LEVELS[record.level] === undefined || LEVELS[record.level] < LEVELS[level])) return false;
+    if (since && record.time && record.time < since) return false;
+    if (grep) {
+        const { time, level: recordLevel, ...fields } = record;
+        const text = Object.values(fields).map(value => (typeof value === 'string' ? value : JSON.stringify(value))).join(' ');
+        if (!grep.test(text)) return false;
+    }
+    return true;
+}
+
+Logger.LEVELS = LEVELS;
+Logger.parseRecord = parseRecord;
+Logger.formatRecord = formatRecord;
+Logger.matchesRecord = matchesRecord;
+
+module.exports = Logger;
@@ -0,0 +1,183 @@
+// mongoDatabase.js
+// MongoDB support for database-operation actions. Each connection string gets
+// its own mongoose connection (createConnection), so several databases can be
+// open at once; `database` selects a database on that connection.
+const mongoose = require('mongoose');
+const { filterNames } = require('./backup.js');
+
+async function openMongoClient(connectionString) {
+    return mongoose.createConnection(connectionString).asPromise();
+}
+
+function selectDatabase(connection, database) {
+    return database ? connection.getClient().db(database) : connection.db;
+}
+
+// Plain update documents ({ price: 10 }) are treated as $set
+function updateDocument(update) {
+    const keys = Object.keys(update || {});
+    if (keys.length === 0) {
+        throw new Error('update needs an update document');
+    }
+    return keys.every(key => key.startsWith('$')) ? update : { $set: update };
+}
+
+function requireCollection(action, collection) {
+    if (!collection) {
+        throw new Error(`MongoDB ${action} needs a collection`);
+    }
+    return collection;
+}
+
+// Reads every (included) collection with its documents and secondary indexes
+async function dumpCollections(connection, options = {}) {
+    const db = selectDatabase(connection, options.database);
+    const names = (await db.listCollections({}, { nameOnly: true }).toArray())
+        .map(info => info.name)
+        .filter(name => !name.startsWith('system.'))
+        .sort();
+    const collections = [];
+
+    for (const name of filterNames(names, options)) {
+        const rows = await db.collection(name).find({}).toArray();
+        const indexes = (await db.collection(name).indexes()).filter(index => index.name !== '_id_');
+        collections.push({ name, indexes, rows });
+    }
+
+    return { dbType: 'mongodb', database: db.databaseName, createdAt: new Date().toISOString(), collections };
+}
+
+async function restoreCollections(connection, backup, options = {}) {
+    if (backup.format !== 'json' || backup.dbType !== 'mongodb') {
+        throw new Error(`A ${backup.dbType || 'SQL'} backup cannot be restored into MongoDB`);
+    }
+
+    const db = selectDatabase(connection, options.database);
+    const included = filterNames(backup.collections.map(collection => collection.name), options);
+    const counts = [];
+
+    for (const { name, indexes, rows } of backup.collections.filter(collection => included.includes(collection.name))) {
+        const collection = db.collection(name);
+        if (options.replace) {
+            try {
+                await collection.drop();
+            } catch (error) {
+                if (error.codeName !== 'NamespaceNotFound') throw error;
+            }
+        }
+        if (rows && rows.length > 0) {
+            await collection.insertMany(rows);
+        }
+        for (const { key, v, ns, ...indexOptions } of indexes || []) {
+            await collection.createIndex(key, indexOptions);
+        }
+        counts.push({ collection: name, documents: (rows || []).length });
+    }
+
+    return counts;
+}
+
+// Runs one database-operation action against an open connection
+async function runMongoOperation(connection, operation) {
+    const { action, database, data, query, projection, sort, limit, keys, unique, pipeline } = operation;
+    const db = selectDatabase(connection, database);
+    const collection = () => db.collection(requireCollection(action, operation.collection));
+
+    switch(action) {
+        case 'create-collection':
+            await db.createCollection(requireCollection(action, operation.collection));
+            return { success: true, message: `Collection ${operation.collection} created` };
+
+        case 'insert': {
+            const result = await collection().insertMany(data || []);
+            return { success: true, inserted: result.insertedCount };
+        }
+
+        case 'query': {
+            let cursor = collection().find(query || {}, projection ? { projection } : {});
+            if (sort) cursor = cursor.sort(sort);
+            if (Number.isInteger(limit)) cursor = cursor.limit(limit);
+            return { success: true, data: await cursor.toArray() };
+        }
+
+        case 'update': {
+            const result = await collection().updateMany(query || {}, updateDocument(operation.update));
+            return {
+                success: true,
+                message: `${result.modifiedCount} of ${result.matchedCount} matching documents updated in ${operation.collection}`
+            };
+        }
+
+        case 'delete': {
+            const result = await collection().deleteMany(query || {});
+            return { success: true, message: `${result.deletedCount} documents deleted from ${operation.collection}` };
+        }
+
+        case 'count': {
+            const count = await collection().countDocuments(query || {});
+            return { success: true, data: [{ collection: operation.collection, count }] };
+        }
+
+        case 'create-index': {
+            const name = await collection().createIndex(keys, { ...(unique ? { unique: true } : {}), ...(operation.indexName ? { name: operation.indexName } : {}) });
+            return { success: true, message: `Index ${name} created on ${operation.collection}` };
+        }
+
+        case 'aggregate':
+            return { success: true, data: await collection().aggregate(pipeline || []).toArray() };
+
+        case 'list-collections': {
+            const collections = await db.listCollections({}, { nameOnly: true }).toArray();
+            return {
+                success: true,
+                data: collections.map(info => ({ collection: info.name })).sort((a, b) => a.collection.localeCompare(b.collection))
+            };
+        }
+
+        case 'stats': {
+            if (operation.collection) {
+                const [stats] = await collection().aggregate([{ $collStats: { storageStats: {}, count: {} } }]).toArray();
+                const storage = (stats && stats.storageStats) || {};
+                return {
+                    success: true,
+                    data: [{
+                        collection: operation.collection,
+                        documents: storage.count,
+                        size: storage.size,
+                        avgObjSize: storage.avgObjSize,
+                        storageSize: storage.storageSize,
+                        indexes: storage.nindexes,
+                        indexSize: storage.totalIndexSize
+                    }]
+                };
+            }
+            const stats = await db.stats();
+            return {
+                success: true,
+                data: [{
+                    database: stats.db,
+                    collections: stats.collections,
+                    documents: stats.objects,
+                    dataSize: stats.dataSize,
+                    storageSize: stats.storageSize,
+                    indexes: stats.indexes,
+                    indexSize: stats.indexSize
+                }]
+            };
+        }
+
+        case 'drop-collection':
+            await collection().drop();
+            return { success: true, message: `Collection ${operation.collection} dropped` };
+
+        default:
+            throw new Error(`Unsupported MongoDB operation: ${action}`);
+    }
+}
+
+module.exports = {
+    openMongoClient,
+    runMongoOperation,
+    dumpCollections,
+    restoreCollections
+};
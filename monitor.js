@@ -0,0 +1,193 @@
+// monitor.js
+// Resource usage of supervised processes, read from /proc (Linux only). CPU
+// and memory are summed over the whole process tree (a server started through
+// npm is sh -> npm -> node), and listening TCP ports are found through the
+// socket inodes in /proc/<pid>/fd.
+const fs = require('fs');
+
+// USER_HZ: /proc reports CPU time in these ticks on every Linux platform
+const CLOCK_TICKS = 100;
+
+const supported = fs.existsSync('/proc/self/stat');
+
+function readFile(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+// The command name in /proc/<pid>/stat may contain spaces and parentheses,
+// so fields are counted from the last ")"
+function readStat(pid) {
+    const stat = readFile(`/proc/${pid}/stat`);
+    if (!stat) return null;
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    return {
+        pid,
+        ppid: Number(fields[1]),
+        pgrp: Number(fields[2]),
+        ticks: Number(fields[11]) + Number(fields[12])
+    };
+}
+
+function readRssKb(pid) {
+    const match = /^VmRSS:\s+(\d+) kB/m.exec(readFile(`/proc/${pid}/status`) || '');
+    return match ? Number(match[1]) : 0;
+}
+
+function allProcesses() {
+    return fs.readdirSync('/proc')
+        .filter(entry => /^\d+$/.test(entry))
+        .map(entry => readStat(Number(entry)))
+        .filter(Boolean);
+}
+
+// The root, everything in its process group and all descendants
+function processTree(root, processes) {
+    const members = new Set([root]);
+    let added = true;
+    while (added) {
+        added = false;
+        for (const info of processes) {
+            if (!members.has(info.pid) && (info.pgrp === root || members.has(info.ppid))) {
+                members.add(info.pid);
+                added = true;
+            }
+        }
+    }
+    return processes.filter(info => members.has(info.pid));
+}
+
+// inode -> port for every listening TCP socket
+function listeningSockets() {
+    const sockets = new Map();
+    for (const file of ['/proc/net/tcp', '/proc/net/tcp6']) {
+        const lines = (readFile(file) || '').split('\n').slice(1);
+        for (const line of lines) {
+            const fields = line.trim().split(/\s+/);
+            // st 0A = LISTEN
+            if (fields.length > 9 && fields[3] === '0A') {
+                sockets.set(fields[9], parseInt(fields[1].split(':')[1], 16));
+            }
+        }
+    }
+    return sockets;
+}
+
+function listeningPorts(pids, sockets) {
+    const ports = new Set();
+    for (const pid of pids) {
+        let fds;
+        try {
+            fds = fs.readdirSync(`/proc/${pid}/fd`);
+        } catch (error) {
+            continue;
+        }
+        for (const fd of fds) {
+            let target;
+            try {
+                target = fs.readlinkSync(`/proc/${pid}/fd/${fd}`);
+            } catch (error) {
+                continue;
+            }
+            const match = /^socket:\[(\d+)\]$/.exec(target);
+            if (match && sockets.has(match[1])) ports.add(sockets.get(match[1]));
+        }
+    }
+    return [...ports].sort((a, b) => a - b);
+}
+
+// Samples running supervisor records. CPU usage is measured between two
+// samples, so the first sample of a process has cpu: null. Thresholds
+// ({ rssMb, cpu }) come from the config and can be overridden per process
+// through `alerts`; crossing one logs a warning once, and recovering logs info.
+class Monitor {
+    constructor(options = {}) {
+        this.thresholds = options.thresholds || {};
+        this.logger = options.logger || null;
+        this.previous = new Map();
+        this.alerting = new Map();
+    }
+
+    sample(records) {
+        if (!supported) {
+            throw new Error('Resource monitoring needs /proc and is only available on Linux');
+        }
+
+        const now = Date.now();
+        const processes = allProcesses();
+        const sockets = listeningSockets();
+        const rows = [];
+
+        for (const record of records.filter(item => item.status === 'running' && item.pid)) {
+            const tree = processTree(record.pid, processes);
+            if (tree.length === 0) continue;
+
+            const key = `${record.name}:${record.pid}`;
+            const ticks = tree.reduce((sum, info) => sum + info.ticks, 0);
+            const previous = this.previous.get(key);
+            this.previous.set(key, { ticks, time: now });
+
+            const cpu = previous && now > previous.time
+                ? ((ticks - previous.ticks) / CLOCK_TICKS) / ((now - previous.time) / 1000) * 100
+                : null;
+
+            const row = {
+                name: record.name,
+                pid: record.pid,
+                cpu: cpu === null ? null : Math.max(0, Math.round(cpu * 10) / 10),
+                rssMb: Math.round(tree.reduce((sum, info) => sum + readRssKb(info.pid), 0) / 1024 * 10) / 10,
+                processes: tree.length,
+                ports: listeningPorts(tree.map(info => info.pid), sockets),
+                alerts: []
+            };
+            const alerts = record.alerts || {};
+            row.alerts = this._checkThresholds(row, {
+                rssMb: alerts.rssMb || this.thresholds.rssMb,
+                cpu: alerts.cpu || this.thresholds.cpu
+            });
+            rows.push(row);
+        }
+
+        // Forget processes that are gone
+        const current = new Set(rows.map(row => `${row.name}:${row.pid}`));
+        for (const key of this.previous.keys()) {
+            if (!current.has(key)) {
+                this.previous.delete(key);
+                this.alerting.delete(key);
+            }
+        }
+
+        return rows;
+    }
+
+    _checkThresholds(row, thresholds) {
+        const key = `${row.name}:${row.pid}`;
+        const active = this.alerting.get(key) || new Set();
+        const alerts = [];
+
+        const check = (metric, value, limit, text) => {
+            if (!limit || value === null) return;
+            if (value > limit) {
+                alerts.push(text);
+                if (!active.has(metric) && this.logger) {
+                    this.logger.warn(`Process ${row.name} (pid ${row.pid}): ${text}`);
+                }
+                active.add(metric);
+            } else if (active.has(metric)) {
+                active.delete(metric);
+                if (this.logger) this.logger.info(`Process ${row.name} (pid ${row.pid}): ${metric} back below ${limit}`);
+            }
+        };
+
+        check('rssMb', row.rssMb, thresholds.rssMb, `memory ${row.rssMb} MB above ${thresholds.rssMb} MB`);
+        check('cpu', row.cpu, thresholds.cpu, `CPU ${row.cpu}% above ${thresholds.cpu}%`);
+
+        this.alerting.set(key, active);
+        return alerts;
+    }
+}
+
+module.exports = { supported, Monitor };
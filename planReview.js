@@ -0,0 +1,390 @@
+// planReview.js
+// Renders an AI execution plan before anything runs, classifies each action by
+// risk and asks the user which actions to approve.
+const path = require('path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { gitCommand, packageCommand } = require('./commands.js');
+const { formatCommand } = require('./exec.js');
+const { validatePlan } = require('./planSchema.js');
+const { describeTrigger } = require('./watchRules.js');
+
+const RISK_LEVELS = ['safe', 'mutating', 'destructive'];
+
+const riskColors = {
+    safe: chalk.green,
+    mutating: chalk.yellow,
+    destructive: chalk.red
+};
+
+// Shell commands that are treated as destructive even inside an exec step
+const DESTRUCTIVE_COMMAND = /(\brm\s+-\w*[rf]|\brmdir\b|\bdel\b|\bgit\s+push\b|\bgit\s+reset\s+--hard\b|\bdrop\b|--force\b|\bmkfs\b|\bdd\s+if=)/i;
+
+// Database actions that only read, unless they export to a file or write a collection
+const READ_ONLY_DB_ACTIONS = ['query', 'count', 'aggregate', 'stats', 'describe', 'list-tables', 'list-collections'];
+const READ_ONLY_SQL = /^\s*(select|with|pragma|explain|show|describe)\b/i;
+
+function maxRisk(...levels) {
+    return levels.reduce((highest, level) =>
+        RISK_LEVELS.indexOf(level) > RISK_LEVELS.indexOf(highest) ? level : highest, 'safe');
+}
+
+function commandRisk(command) {
+    return DESTRUCTIVE_COMMAND.test(command || '') ? 'destructive' : 'mutating';
+}
+
+function classifyStep(step) {
+    switch(step.type) {
+        case 'mkdir':
+        case 'write':
+            return 'mutating';
+        case 'exec':
+            return commandRisk(step.details && step.details.command);
+        default:
+            return classifyAction(step);
+    }
+}
+
+function classifyAction(action) {
+    switch(action.type) {
+        case 'project-setup':
+            return maxRisk('mutating', ...(action.steps || []).map(classifyStep));
+
+        case 'file-operation':
+            // A watch rule with a trigger runs its command on every change
+            if (action.action === 'watch') {
+                const trigger = action.options && action.options.trigger;
+                if (!trigger) return 'safe';
+                return trigger.type === 'command' && DESTRUCTIVE_COMMAND.test(trigger.command || '') ? 'destructive' : 'mutating';
+            }
+            if (['read', 'list'].includes(action.action)) return 'safe';
+            if (['delete', 'rmdir'].includes(action.action)) return 'destructive';
+            return 'mutating';
+
+        case 'package-operation':
+            return 'mutating';
+
+        case 'process-operation':
+            return action.action === 'list' ? 'safe' : 'mutating';
+
+        case 'database-operation':
+            if (/^(drop|delete)/.test(action.action || '')) return 'destructive';
+            if (action.action === 'restore' && action.replace) return 'destructive';
+            if (action.sql && !READ_ONLY_SQL.test(action.sql)) {
+                return /^\s*(drop|delete|truncate)\b/i.test(action.sql) ? 'destructive' : 'mutating';
+            }
+            if ((action.pipeline || []).some(stage => stage.$out || stage.$merge)) return 'mutating';
+            return READ_ONLY_DB_ACTIONS.includes(action.action) && !action.output ? 'safe' : 'mutating';
+
+        case 'git-operation':
+            return action.action === 'push' ? 'destructive' : 'mutating';
+
+        case 'deploy-operation':
+            return 'destructive';
+
+        case 'build':
+        case 'config':
+            return commandRisk(action.command);
+
+        case 'upload':
+        case 'invoke':
+            return 'destructive';
+
+        default:
+            return 'mutating';
+    }
+}
+
+function describeAction(action) {
+    switch(action.type) {
+        case 'project-setup':
+            return `project-setup: ${action.projectType || 'unknown'} project "${action.name || ''}" → ${action.path || action.name || ''}`;
+        case 'file-operation':
+            return `file-operation: ${action.action} ${action.path || ''}${action.newPath ? ` → ${action.newPath}` : ''}`;
+        case 'package-operation':
+            return `package-operation: ${action.manager} ${action.action} ${(action.packages || []).join(' ')}`.trim();
+        case 'process-operation': {
+            const options = action.options || {};
+            return `process-operation: ${action.action} ${action.command || options.name || options.stack || ''}`.trim();
+        }
+        case 'database-operation':
+            return `database-operation: ${action.dbType} ${action.action} ${action.table || action.collection || ''}`.trim();
+        case 'git-operation':
+            return `git-operation: ${action.action} ${action.branch || action.repository || ''}`.trim();
+        case 'deploy-operation':
+            return `deploy-operation: ${action.platform}`;
+        case 'mkdir':
+        case 'write':
+            return `${action.type} ${(action.details && action.details.path) || ''}`;
+        case 'exec':
+            return `exec ${(action.details && action.details.command) || ''}`;
+        case 'build':
+        case 'config':
+        case 'upload':
+        case 'invoke':
+            return `${action.type} ${action.command || action.path || ''}`;
+        default:
+            return `${action.type} (unsupported)`;
+    }
+}
+
+function childrenOf(action) {
+    if (action.type === 'project-setup' || action.type === 'deploy-operation') {
+        return action.steps || [];
+    }
+    return [];
+}
+
+function riskBadge(risk) {
+    return riskColors[risk](`[${risk.toUpperCase()}]`);
+}
+
+function printPlan(plan) {
+    const description = plan.context && plan.context.description;
+    console.log(chalk.cyan(`\n📋 Execution plan${description ? `: ${description}` : ''}`));
+
+    plan.actions.forEach((action, index) => {
+        const last = index === plan.actions.length - 1;
+        const risk = classifyAction(action);
+        console.log(`${last ? '└─' : '├─'} ${riskBadge(risk)} ${describeAction(action)}`);
+
+        const children = childrenOf(action);
+        children.forEach((child, childIndex) => {
+            const childRisk = action.type === 'project-setup' ? classifyStep(child) : classifyAction(child);
+            const branch = childIndex === children.length - 1 ? '└─' : '├─';
+            console.log(`${last ? '   ' : '│  '}${branch} ${riskBadge(childRisk)} ${describeAction(child)}`);
+        });
+    });
+}
+
+// Lists the shell commands and filesystem changes an action would cause,
+// mirroring what the executor in index.js does for each action type. "run"
+// commands are spawned without a shell, "shell" ones are approved exec steps.
+function describeEffects(action, cwd) {
+    const effects = [];
+    const resolve = target => path.resolve(cwd, target || '');
+    const shell = (command, dir = cwd) => effects.push({ kind: 'shell', text: command, cwd: dir });
+    const run = (spec, dir = cwd) => effects.push({ kind: 'run', text: formatCommand(spec), cwd: dir });
+    const file = (kind, text) => effects.push({ kind, text });
+
+    switch(action.type) {
+        case 'project-setup': {
+            const projectPath = resolve(action.path || action.name);
+            file('mkdir', projectPath);
+
+            for (const step of action.steps || []) {
+                const details = step.details || {};
+                switch(step.type) {
+                    case 'mkdir':
+                        file('mkdir', path.join(projectPath, details.path || ''));
+                        break;
+                    case 'write':
+                        file('write', path.join(projectPath, details.path || ''));
+                        break;
+                    case 'exec':
+                        shell(details.command, projectPath);
+                        break;
+                    case 'file-operation':
+                    case 'package-operation':
+                    case 'process-operation':
+                        effects.push(...describeEffects({ ...step, directory: projectPath }, projectPath));
+                        break;
+                }
+            }
+            break;
+        }
+
+        case 'file-operation': {
+            const target = resolve(action.path);
+            switch(action.action) {
+                case 'write':
+                case 'append':
+                    file(action.action, `${target} (${Buffer.byteLength(action.content || '')} bytes)`);
+                    break;
+                case 'delete':
+                    file('delete', target);
+                    break;
+                case 'rename':
+                    file('rename', `${target} → ${resolve(action.newPath)}`);
+                    break;
+                case 'mkdir':
+                    file('mkdir', target);
+                    break;
+                case 'rmdir':
+                    file('delete', `${target}${action.options && action.options.recursive ? ' (recursive)' : ''}`);
+                    break;
+                case 'watch':
+                    if (action.options && action.options.trigger) {
+                        const { glob, trigger } = action.options;
+                        effects.push({ kind: 'watch', text: `${glob ? path.join(target, glob) : target} → ${describeTrigger(trigger)}`, cwd });
+                    }
+                    break;
+            }
+            break;
+        }
+
+        case 'package-operation':
+            run(packageCommand(action), action.directory ? resolve(action.directory) : cwd);
+            break;
+
+        case 'process-operation':
+            if (action.action === 'start') {
+                const options = action.options || {};
+                const dir = options.cwd ? resolve(options.cwd) : cwd;
+                if (options.waitForExit) {
+                    shell(action.command, dir);
+                } else {
+                    effects.push({ kind: 'spawn', text: action.command, cwd: dir });
+                }
+                if (options.logFile) file('append', resolve(options.logFile));
+            } else if (action.action === 'stop') {
+                effects.push({ kind: 'kill', text: action.options && action.options.name });
+            } else if (action.action === 'restart') {
+                effects.push({ kind: 'restart', text: action.options && action.options.name });
+            } else if (action.action === 'stack-up') {
+                effects.push({ kind: 'spawn', text: `stack ${(action.options && action.options.stack) || '(default)'} from slaveshell.stacks.json`, cwd });
+            } else if (action.action === 'stack-down') {
+                effects.push({ kind: 'kill', text: `stack ${(action.options && action.options.stack) || '(default)'}` });
+            }
+            break;
+
+        case 'database-operation':
+            if (action.action === 'backup') {
+                file('write', action.output && path.extname(action.output)
+                    ? resolve(action.output)
+                    : `${resolve(action.output || 'backups')}${path.sep}<timestamped backup>`);
+            } else if (action.output) {
+                file('write', resolve(action.output));
+            } else if (classifyAction(action) !== 'safe') {
+                effects.push({ kind: 'database', text: `${action.dbType} ${action.action} ${action.table || action.collection || ''}`.trim() });
+            }
+            break;
+
+        case 'git-operation':
+            run(gitCommand(action));
+            break;
+
+        case 'deploy-operation':
+            for (const step of action.steps || []) {
+                if (step.type === 'config' && step.path && step.content) {
+                    file('write', resolve(step.path));
+                } else if (step.command && ['build', 'config', 'upload', 'invoke'].includes(step.type)) {
+                    shell(step.command);
+                }
+            }
+            break;
+    }
+
+    return effects;
+}
+
+// All effects of a plan, in execution order
+function listEffects(plan, cwd) {
+    return plan.actions.flatMap(action => describeEffects(action, cwd));
+}
+
+function printDryRun(plan, cwd) {
+    console.log(chalk.cyan('\n🧪 Dry run: nothing will be executed. This plan would:'));
+
+    const effects = listEffects(plan, cwd);
+    effects.forEach((effect, index) => {
+        const where = effect.cwd && effect.cwd !== cwd ? chalk.gray(`  (in ${effect.cwd})`) : '';
+        console.log(`${chalk.gray(String(index + 1).padStart(3))}. ${chalk.bold(effect.kind.padEnd(8))} ${effect.text}${where}`);
+    });
+
+    if (effects.length === 0) {
+        console.log(chalk.gray('   (no shell commands or file changes)'));
+    }
+}
+
+async function editPlan(plan) {
+    const { edited } = await inquirer.prompt([{
+        type: 'editor',
+        name: 'edited',
+        message: 'Edit the plan JSON:',
+        default: JSON.stringify(plan, null, 2),
+        validate: input => {
+            let parsed;
+            try {
+                parsed = JSON.parse(input);
+            } catch (error) {
+                return `Invalid JSON: ${error.message}`;
+            }
+            const errors = validatePlan(parsed);
+            return errors.length === 0 ? true : errors.join('; ');
+        }
+    }]);
+    return JSON.parse(edited);
+}
+
+async function approveEach(actions) {
+    const approved = [];
+
+    for (const action of actions) {
+        const risk = classifyAction(action);
+        const { ok } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'ok',
+            message: `${riskBadge(risk)} ${describeAction(action)}`,
+            default: risk !== 'destructive'
+        }]);
+        if (ok) approved.push(action);
+    }
+
+    return approved;
+}
+
+// Shows the plan and returns the approved plan, or null if the user cancelled.
+// Plans made only of safe actions are approved without asking, and so is
+// everything with options.yes. When options.interactive is false there is
+// nobody to ask, so any other plan is refused.
+async function reviewPlan(plan, options = {}) {
+    let current = plan;
+
+    while (true) {
+        printPlan(current);
+
+        if (options.yes || current.actions.every(action => classifyAction(action) === 'safe')) {
+            return current;
+        }
+
+        if (options.interactive === false) {
+            console.log(chalk.yellow('⚠️ This plan changes things and needs approval; re-run with --yes to approve it'));
+            return null;
+        }
+
+        const { choice } = await inquirer.prompt([{
+            type: 'list',
+            name: 'choice',
+            message: 'Run this plan?',
+            choices: [
+                { name: 'Approve all', value: 'all' },
+                { name: 'Approve one by one', value: 'each' },
+                { name: 'Edit plan', value: 'edit' },
+                { name: 'Cancel', value: 'cancel' }
+            ]
+        }]);
+
+        switch(choice) {
+            case 'all':
+                return current;
+            case 'each':
+                return { ...current, actions: await approveEach(current.actions) };
+            case 'edit':
+                current = await editPlan(current);
+                break;
+            case 'cancel':
+                return null;
+        }
+    }
+}
+
+module.exports = {
+    classifyAction,
+    describeAction,
+    describeEffects,
+    listEffects,
+    printPlan,
+    printDryRun,
+    reviewPlan
+};
@@ -0,0 +1,474 @@
+// planSchema.js
+// JSON Schema for AI execution plans and helpers to turn a raw model
+// response into a validated plan. Actions and their option objects are closed
+// (additionalProperties: false), so a misspelled field such as "conent" is
+// reported and sent back for repair instead of being ignored.
+const Ajv = require('ajv');
+
+const stringArray = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+// Makes `fields` required when `field` has one of the given values
+function requireWhen(field, values, fields) {
+    return {
+        if: { properties: { [field]: { enum: values } }, required: [field] },
+        then: { required: fields }
+    };
+}
+
+const fileOperation = {
+    type: 'object',
+    properties: {
+        type: { const: 'file-operation' },
+        action: { enum: ['read', 'write', 'append', 'delete', 'rename', 'mkdir', 'rmdir', 'list', 'watch'] },
+        path: { type: 'string', minLength: 1 },
+        content: { type: 'string' },
+        newPath: { type: 'string', minLength: 1 },
+        options: {
+            type: 'object',
+            properties: {
+                recursive: { type: 'boolean' },
+                force: { type: 'boolean' },
+                glob: { type: 'string', minLength: 1 },
+                events: { type: 'array', items: { enum: ['add', 'change', 'unlink'] }, minItems: 1 },
+                debounce: { type: 'integer', minimum: 0 },
+                trigger: {
+                    type: 'object',
+                    properties: {
+                        type: { enum: ['command', 'restart', 'recipe'] },
+                        command: { type: 'string', minLength: 1 },
+                        process: { type: 'string', minLength: 1 },
+                        recipe: { type: 'string', minLength: 1 },
+                        params: { type: 'object', additionalProperties: { type: 'string' } }
+                    },
+                    additionalProperties: false,
+                    required: ['type'],
+                    allOf: [
+                        requireWhen('type', ['command'], ['command']),
+                        requireWhen('type', ['restart'], ['process']),
+                        requireWhen('type', ['recipe'], ['recipe'])
+                    ]
+                }
+            },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false,
+    required: ['type', 'action', 'path'],
+    allOf: [
+        requireWhen('action', ['write', 'append'], ['content']),
+        requireWhen('action', ['rename'], ['newPath'])
+    ]
+};
+
+const packageOperation = {
+    type: 'object',
+    properties: {
+        type: { const: 'package-operation' },
+        manager: { enum: ['npm', 'pip'] },
+        action: { enum: ['install', 'uninstall', 'update', 'init', 'run'] },
+        packages: stringArray,
+        options: { type: 'string' },
+        directory: { type: 'string' }
+    },
+    additionalProperties: false,
+    required: ['type', 'manager', 'action'],
+    allOf: [
+        requireWhen('action', ['uninstall', 'update'], ['packages']),
+        requireWhen('action', ['run'], ['options']),
+        {
+            if: { properties: { manager: { const: 'pip' } }, required: ['manager'] },
+            then: {
+                properties: { action: { enum: ['install', 'uninstall', 'update'] } },
+                required: ['packages']
+            }
+        }
+    ]
+};
+
+const processOperation = {
+    type: 'object',
+    properties: {
+        type: { const: 'process-operation' },
+        action: { enum: ['start', 'stop', 'restart', 'list', 'stack-up', 'stack-down'] },
+        command: { type: 'string', minLength: 1 },
+        options: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                stack: { type: 'string', minLength: 1 },
+                services: stringArray,
+                waitForExit: { type: 'boolean' },
+                cwd: { type: 'string' },
+                logFile: { type: 'string' },
+                logRotation: {
+                    type: 'object',
+                    properties: {
+                        maxSize: { type: ['string', 'integer'] },
+                        keep: { type: 'integer', minimum: 0 }
+                    },
+                    additionalProperties: false
+                },
+                alerts: {
+                    type: 'object',
+                    properties: {
+                        rssMb: { type: ['number', 'null'], minimum: 0 },
+                        cpu: { type: ['number', 'null'], minimum: 0 }
+                    },
+                    additionalProperties: false
+                },
+                restart: { enum: ['never', 'on-failure', 'always'] },
+                maxRetries: { type: 'integer', minimum: 0 },
+                healthCheck: {
+                    type: 'object',
+                    properties: {
+                        type: { enum: ['http', 'tcp'] },
+                        url: { type: 'string', pattern: '^https?://' },
+                        port: { type: 'integer', minimum: 1, maximum: 65535 },
+                        host: { type: 'string', minLength: 1 },
+                        interval: { type: 'integer', minimum: 100 },
+                        timeout: { type: 'integer', minimum: 100 },
+                        startupTimeout: { type: 'integer', minimum: 0 }
+                    },
+                    additionalProperties: false,
+                    required: ['type'],
+                    allOf: [
+                        requireWhen('type', ['http'], ['url']),
+                        requireWhen('type', ['tcp'], ['port'])
+                    ]
+                }
+            },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false,
+    required: ['type', 'action'],
+    allOf: [
+        requireWhen('action', ['start'], ['command']),
+        {
+            if: { properties: { action: { enum: ['stop', 'restart'] } }, required: ['action'] },
+            then: {
+                required: ['options'],
+                properties: { options: { required: ['name'] } }
+            }
+        }
+    ]
+};
+
+const databaseOperation = {
+    type: 'object',
+    properties: {
+        type: { const: 'database-operation' },
+        dbType: { enum: ['mongodb', 'mysql', 'postgres', 'sqlite'] },
+        action: { type: 'string', minLength: 1 },
+        connectionString: { type: 'string', minLength: 1 },
+        database: { type: 'string' },
+        collection: { type: 'string', minLength: 1 },
+        table: { type: 'string', minLength: 1 },
+        fields: {
+            oneOf: [
+                { type: 'object', additionalProperties: { type: 'string' }, minProperties: 1 },
+                {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            type: { type: 'string', minLength: 1 },
+                            primaryKey: { type: 'boolean' },
+                            notNull: { type: 'boolean' },
+                            unique: { type: 'boolean' }
+                        },
+                        additionalProperties: false,
+                        required: ['name', 'type']
+                    }
+                }
+            ]
+        },
+        data: { type: 'array', items: { type: 'object' } },
+        query: { type: 'object' },
+        projection: { type: 'object' },
+        sort: { type: 'object' },
+        update: { type: 'object', minProperties: 1 },
+        keys: { type: 'object', minProperties: 1 },
+        unique: { type: 'boolean' },
+        indexName: { type: 'string', minLength: 1 },
+        pipeline: { type: 'array', items: { type: 'object' } },
+        sql: { type: 'string', minLength: 1 },
+        params: { type: 'array' },
+        where: { type: 'object' },
+        limit: { type: 'integer', minimum: 1 },
+        output: { type: 'string', minLength: 1 },
+        format: { enum: ['json', 'sql'] },
+        gzip: { type: 'boolean' },
+        include: { type: 'array', items: { type: 'string' } },
+        exclude: { type: 'array', items: { type: 'string' } },
+        input: { type: 'string', minLength: 1 },
+        replace: { type: 'boolean' }
+    },
+    additionalProperties: false,
+    required: ['type', 'dbType', 'action', 'connectionString'],
+    allOf: [
+        {
+            if: { properties: { dbType: { const: 'mongodb' } }, required: ['dbType'] },
+            then: {
+                properties: {
+                    action: {
+                        enum: [
+                            'create-collection', 'insert', 'query', 'update', 'delete', 'count',
+                            'create-index', 'aggregate', 'list-collections', 'stats', 'drop-collection',
+                            'backup', 'restore'
+                        ]
+                    }
+                },
+                allOf: [
+                    {
+                        if: { properties: { action: { not: { enum: ['list-collections', 'stats', 'backup', 'restore'] } } }, required: ['action'] },
+                        then: { required: ['collection'] }
+                    },
+                    // An explicit filter, so "delete everything" is never implied by a missing field
+                    requireWhen('action', ['update', 'delete'], ['query']),
+                    requireWhen('action', ['update'], ['update']),
+                    requireWhen('action', ['create-index'], ['keys']),
+                    requireWhen('action', ['aggregate'], ['pipeline'])
+                ]
+            }
+        },
+        {
+            if: { properties: { dbType: { enum: ['mysql', 'postgres', 'sqlite'] } }, required: ['dbType'] },
+            then: {
+                properties: { action: { enum: ['create-table', 'insert', 'query', 'drop-table', 'describe', 'list-tables', 'backup', 'restore'] } },
+                allOf: [
+                    {
+                        if: { properties: { action: { enum: ['create-table', 'insert', 'drop-table', 'describe'] } }, required: ['action'] },
+                        then: { anyOf: [{ required: ['table'] }, { required: ['collection'] }] }
+                    },
+                    {
+                        if: { properties: { action: { const: 'query' } }, required: ['action'] },
+                        then: { anyOf: [{ required: ['sql'] }, { required: ['table'] }, { required: ['collection'] }] }
+                    },
+                    requireWhen('action', ['create-table'], ['fields'])
+                ]
+            }
+        },
+        requireWhen('action', ['insert'], ['data']),
+        requireWhen('action', ['restore'], ['input'])
+    ]
+};
+
+const gitOperation = {
+    type: 'object',
+    properties: {
+        type: { const: 'git-operation' },
+        action: { enum: ['init', 'clone', 'add', 'commit', 'push', 'checkout'] },
+        repository: { type: 'string', minLength: 1 },
+        branch: { type: 'string', minLength: 1 },
+        message: { type: 'string' }
+    },
+    additionalProperties: false,
+    required: ['type', 'action'],
+    allOf: [
+        requireWhen('action', ['clone'], ['repository']),
+        requireWhen('action', ['checkout'], ['branch'])
+    ]
+};
+
+const deployStep = {
+    type: 'object',
+    properties: {
+        type: { enum: ['build', 'config', 'upload', 'invoke'] },
+        command: { type: 'string', minLength: 1 },
+        path: { type: 'string', minLength: 1 },
+        content: { type: 'string' }
+    },
+    additionalProperties: false,
+    required: ['type'],
+    allOf: [
+        requireWhen('type', ['build', 'upload', 'invoke'], ['command']),
+        {
+            if: { properties: { type: { const: 'config' } }, required: ['type'] },
+            then: { anyOf: [{ required: ['command'] }, { required: ['path', 'content'] }] }
+        }
+    ]
+};
+
+const deployOperation = {
+    type: 'object',
+    properties: {
+        type: { const: 'deploy-operation' },
+        platform: { type: 'string', minLength: 1 },
+        steps: { type: 'array', items: deployStep, minItems: 1 }
+    },
+    additionalProperties: false,
+    required: ['type', 'platform', 'steps']
+};
+
+// Steps of a project-setup run inside the project directory
+const setupStep = {
+    type: 'object',
+    required: ['type'],
+    discriminator: { propertyName: 'type' },
+    oneOf: [
+        {
+            properties: {
+                type: { const: 'mkdir' },
+                details: {
+                    type: 'object',
+                    properties: { path: { type: 'string', minLength: 1 } },
+                    additionalProperties: false,
+                    required: ['path']
+                }
+            },
+            additionalProperties: false,
+            required: ['details']
+        },
+        {
+            properties: {
+                type: { const: 'write' },
+                details: {
+                    type: 'object',
+                    properties: {
+                        path: { type: 'string', minLength: 1 },
+                        content: { type: 'string' }
+                    },
+                    additionalProperties: false,
+                    required: ['path', 'content']
+                }
+            },
+            additionalProperties: false,
+            required: ['details']
+        },
+        {
+            properties: {
+                type: { const: 'exec' },
+                details: {
+                    type: 'object',
+                    properties: { command: { type: 'string', minLength: 1 } },
+                    additionalProperties: false,
+                    required: ['command']
+                }
+            },
+            additionalProperties: false,
+            required: ['details']
+        },
+        fileOperation,
+        packageOperation,
+        processOperation
+    ]
+};
+
+const projectSetup = {
+    type: 'object',
+    properties: {
+        type: { const: 'project-setup' },
+        projectType: { type: 'string', minLength: 1 },
+        template: { type: 'string' },
+        name: { type: 'string', minLength: 1 },
+        path: { type: 'string' },
+        steps: { type: 'array', items: setupStep }
+    },
+    additionalProperties: false,
+    required: ['type', 'projectType', 'name', 'steps']
+};
+
+const planSchema = {
+    type: 'object',
+    properties: {
+        type: { type: 'string' },
+        actions: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['type'],
+                discriminator: { propertyName: 'type' },
+                oneOf: [
+                    projectSetup,
+                    fileOperation,
+                    packageOperation,
+                    processOperation,
+                    databaseOperation,
+                    gitOperation,
+                    deployOperation
+                ]
+            }
+        },
+        context: {
+            type: 'object',
+            properties: {
+                description: { type: 'string', minLength: 1 },
+                needsMonitoring: { type: 'boolean' },
+                estimated_time: { type: ['string', 'number'] }
+            },
+            required: ['description']
+        }
+    },
+    required: ['type', 'actions', 'context']
+};
+
+const ajv = new Ajv({ allErrors: true, discriminator: true, strict: false });
+const validate = ajv.compile(planSchema);
+
+// "/actions/0/options" -> "actions[0].options"
+function fieldName(instancePath) {
+    const field = instancePath
+        .split('/')
+        .slice(1)
+        .map(part => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+        .join('');
+    return `plan${field}`;
+}
+
+function formatError(error) {
+    switch(error.keyword) {
+        case 'required':
+            return `${fieldName(error.instancePath)}.${error.params.missingProperty} is required`;
+        case 'enum':
+            return `${fieldName(error.instancePath)} must be one of: ${error.params.allowedValues.join(', ')}`;
+        case 'additionalProperties':
+            return `${fieldName(error.instancePath)}.${error.params.additionalProperty} is not a known field`;
+        case 'discriminator':
+            return `${fieldName(error.instancePath)}.type "${error.params.tagValue}" is not a supported type`;
+        default:
+            return `${fieldName(error.instancePath)} ${error.message}`;
+    }
+}
+
+// Returns a list of readable, field-level errors (empty when the plan is valid)
+function validatePlan(plan) {
+    if (validate(plan)) return [];
+
+    const messages = validate.errors
+        .filter(error => error.keyword !== 'if')
+        .map(formatError);
+    return [...new Set(messages)];
+}
+
+// Extracts the JSON object from a raw model response
+function parsePlanResponse(rawResponse) {
+    let jsonStr = rawResponse.trim();
+
+    if (jsonStr.includes('```')) {
+        const matches = jsonStr.match(/```(?:json)?([\s\S]*?)```/);
+        jsonStr = matches ? matches[1].trim() : jsonStr;
+    }
+
+    if (jsonStr.includes('{') && jsonStr.includes('}')) {
+        const start = jsonStr.indexOf('{');
+        const end = jsonStr.lastIndexOf('}') + 1;
+        jsonStr = jsonStr.substring(start, end);
+    }
+
+    jsonStr = jsonStr
+        .replace(/[\u200B-\u200D\uFEFF]/g, '') // Remove zero-width spaces
+        .replace(/,(\s*[}\]])/g, '$1') // Remove trailing commas
+        .trim();
+
+    try {
+        return JSON.parse(jsonStr);
+    } catch (parseError) {
+        throw new Error(`JSON Parse Error: ${parseError.message}`);
+    }
+}
+
+module.exports = { planSchema, validatePlan, parsePlanResponse };
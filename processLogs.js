@@ -0,0 +1,237 @@
+// processLogs.js
+// Log files of supervised processes. The supervisor writes every output line
+// as "<ISO time> <out|err> <text>" and rotates the file by size (app.log ->
+// app.log.1 -> app.log.2 ...); the shell reads them back for `logs <name>`,
+// with --grep, --since and follow mode.
+const fs = require('fs');
+const chalk = require('chalk');
+
+const DEFAULT_ROTATION = { maxSize: '10m', keep: 3 };
+const LINE = /^(\d{4}-\d\d-\d\dT[\d:.]+Z) (out|err) (.*)$/;
+const FOLLOW_INTERVAL = 250;
+
+// Colours for the process names when following several logs
+const NAME_COLORS = [chalk.cyan, chalk.magenta, chalk.green, chalk.yellow, chalk.blue, chalk.redBright];
+
+// 1048576, "512k", "10m", "1g" -> bytes
+function parseSize(size) {
+    if (typeof size === 'number') return size;
+    const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i.exec(String(size).trim());
+    if (!match) {
+        throw new Error(`Invalid size: ${size} (use e.g. 500k, 10m or 1g)`);
+    }
+    const units = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+    return Math.round(parseFloat(match[1]) * units[match[2].toLowerCase()]);
+}
+
+// "10m", "2h", "1d" or a date -> the earliest time to show
+function parseSince(since, now = Date.now()) {
+    const match = /^(\d+)\s*(s|m|h|d)$/i.exec(since.trim());
+    if (match) {
+        const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+        return new Date(now - parseInt(match[1], 10) * units[match[2].toLowerCase()]);
+    }
+    const date = new Date(since);
+    if (isNaN(date)) {
+        throw new Error(`Invalid --since value: ${since} (use e.g. 10m, 2h, 1d or a date)`);
+    }
+    return date;
+}
+
+// app.log -> app.log.1 -> app.log.2 ..., dropping the oldest beyond `keep`
+function rotateFile(file, keep) {
+    if (keep > 0) {
+        fs.rmSync(`${file}.${keep}`, { force: true });
+        for (let index = keep - 1; index >= 1; index--) {
+            if (fs.existsSync(`${file}.${index}`)) {
+                fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+            }
+        }
+        fs.renameSync(file, `${file}.1`);
+    } else {
+        fs.rmSync(file, { force: true });
+    }
+}
+
+// Appends timestamped lines to a log file and rotates it once it grows past
+// maxSize, keeping `keep` older files. Used inside the supervisor daemon.
+class LogWriter {
+    constructor(file, rotation = {}) {
+        this.file = file;
+        this.maxSize = parseSize(rotation.maxSize || DEFAULT_ROTATION.maxSize);
+        this.keep = rotation.keep === undefined ? DEFAULT_ROTATION.keep : rotation.keep;
+        this.fd = fs.openSync(file, 'a');
+        this.size = fs.fstatSync(this.fd).size;
+        this.pending = { out: '', err: '' };
+    }
+
+    // Output arrives in chunks; only whole lines are written
+    write(stream, chunk) {
+        const lines = (this.pending[stream] + chunk).split(/\r?\n/);
+        this.pending[stream] = lines.pop();
+        for (const line of lines) this._writeLine(stream, line);
+    }
+
+    _writeLine(stream, text) {
+        const line = `${new Date().toISOString()} ${stream} ${text}\n`;
+        if (this.size > 0 && this.size + Buffer.byteLength(line) > this.maxSize) {
+            this.rotate();
+        }
+        this.size += fs.writeSync(this.fd, line);
+    }
+
+    rotate() {
+        fs.closeSync(this.fd);
+        rotateFile(this.file, this.keep);
+        this.fd = fs.openSync(this.file, 'a');
+        this.size = 0;
+    }
+
+    close() {
+        for (const stream of Object.keys(this.pending)) {
+            if (this.pending[stream]) this._writeLine(stream, this.pending[stream]);
+            this.pending[stream] = '';
+        }
+        fs.closeSync(this.fd);
+    }
+}
+
+// Lines without the supervisor prefix (e.g. written by the program itself) are kept as output
+function parseLine(line) {
+    const match = LINE.exec(line);
+    return match
+        ? { time: new Date(match[1]), stream: match[2], text: match[3] }
+        : { time: null, stream: 'out', text: line };
+}
+
+function readLines(file) {
+    try {
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        if (lines[lines.length - 1] === '') lines.pop();
+        return lines;
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+// Rotated files, oldest first, followed by the current file
+function logFiles(file) {
+    const rotated = [];
+    for (let index = 1; fs.existsSync(`${file}.${index}`); index++) {
+        rotated.unshift(`${file}.${index}`);
+    }
+    return [...rotated, file];
+}
+
+function matches(entry, { grep, since }) {
+    if (since && entry.time && entry.time < since) return false;
+    if (grep && !grep.test(entry.text)) return false;
+    return true;
+}
+
+// The last `lines` entries matching the filters. Rotated files are only read
+// when searching (--grep / --since) or when the current file is too short.
+function readLog(file, options = {}) {
+    const count = options.lines || 50;
+    const filtered = Boolean(options.grep || options.since);
+    const files = logFiles(file);
+    const entries = [];
+
+    for (let index = files.length - 1; index >= 0 && (filtered || entries.length < count); index--) {
+        const fileEntries = readLines(files[index]).map(parseLine).filter(entry => matches(entry, options));
+        entries.unshift(...fileEntries);
+    }
+
+    return entries.slice(-count);
+}
+
+function formatEntry(entry, name, color) {
+    const time = entry.time ? chalk.gray(entry.time.toTimeString().slice(0, 8)) + ' ' : '';
+    const prefix = name ? color(`${name} | `) : '';
+    const text = entry.stream === 'err' ? chalk.red(entry.text) : entry.text;
+    return `${prefix}${time}${text}`;
+}
+
+// Prints new lines of every log until the returned stop() is called. Lines
+// read in the same poll are merged in time order, so output of several
+// processes interleaves the way it was written. options.parse, options.format
+// and options.filter replace the process log line handling (used for the agent log).
+function followLogs(targets, options = {}, print = console.log) {
+    const parse = options.parse || parseLine;
+    const format = options.format || formatEntry;
+    const filter = options.filter || (entry => matches(entry, options));
+    const showNames = targets.length > 1;
+    const states = targets.map(({ name, file }, index) => {
+        let offset = 0;
+        let inode = null;
+        try {
+            const stat = fs.statSync(file);
+            offset = stat.size;
+            inode = stat.ino;
+        } catch (error) {
+            // not written yet
+        }
+        return { name, file, offset, inode, partial: '', color: NAME_COLORS[index % NAME_COLORS.length] };
+    });
+
+    const poll = () => {
+        const batch = [];
+
+        for (const state of states) {
+            let stat;
+            try {
+                stat = fs.statSync(state.file);
+            } catch (error) {
+                continue;
+            }
+            // Rotated or truncated: start over at the top of the new file
+            if (stat.ino !== state.inode || stat.size < state.offset) {
+                state.offset = 0;
+                state.inode = stat.ino;
+                state.partial = '';
+            }
+            if (stat.size === state.offset) continue;
+
+            const buffer = Buffer.alloc(stat.size - state.offset);
+            const fd = fs.openSync(state.file, 'r');
+            try {
+                fs.readSync(fd, buffer, 0, buffer.length, state.offset);
+            } finally {
+                fs.closeSync(fd);
+            }
+            state.offset = stat.size;
+
+            const lines = (state.partial + buffer.toString('utf8')).split('\n');
+            state.partial = lines.pop();
+            for (const line of lines) {
+                if (!line) continue;
+                const entry = parse(line);
+                if (filter(entry)) batch.push({ entry, state });
+            }
+        }
+
+        batch
+            .sort((a, b) => (a.entry.time || 0) - (b.entry.time || 0))
+            .forEach(({ entry, state }) => print(format(entry, showNames && state.name, state.color)));
+    };
+
+    const timer = setInterval(poll, FOLLOW_INTERVAL);
+    return () => {
+        clearInterval(timer);
+        poll();
+    };
+}
+
+module.exports = {
+    DEFAULT_ROTATION,
+    NAME_COLORS,
+    parseSize,
+    parseSince,
+    rotateFile,
+    logFiles,
+    LogWriter,
+    readLog,
+    formatEntry,
+    followLogs
+};
@@ -0,0 +1,275 @@
+// projectContext.js
+// A summary of the current directory for the prompt: the detected stack,
+// package.json scripts, requirements.txt, git status, running managed
+// processes and the top-level files. Sections are added in that order until
+// the token budget (estimated at four characters per token) is used up; a
+// section that does not fit whole is cut off line by line.
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { STACK_FILE, loadStacks } = require('./stacks.js');
+
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_MAX_TOKENS = 1000;
+const GIT_TIMEOUT = 3000;
+const MAX_CHANGED_FILES = 15;
+
+// package.json dependency -> what it says about the project, most telling first
+const NODE_FRAMEWORKS = [
+    ['next', 'Next.js'],
+    ['react', 'React'],
+    ['vue', 'Vue'],
+    ['@angular/core', 'Angular'],
+    ['svelte', 'Svelte'],
+    ['@nestjs/core', 'NestJS'],
+    ['express', 'Express'],
+    ['fastify', 'Fastify'],
+    ['koa', 'Koa'],
+    ['mongoose', 'Mongoose'],
+    ['prisma', 'Prisma'],
+    ['typescript', 'TypeScript'],
+    ['vite', 'Vite'],
+    ['webpack', 'webpack'],
+    ['jest', 'Jest'],
+    ['mocha', 'Mocha'],
+    ['vitest', 'Vitest']
+];
+
+const PYTHON_FRAMEWORKS = ['django', 'flask', 'fastapi', 'sqlalchemy', 'pytest', 'pandas', 'numpy'];
+
+// file in the directory -> technology
+const MARKER_FILES = [
+    ['pyproject.toml', 'Python (pyproject)'],
+    ['Pipfile', 'Python (Pipenv)'],
+    ['go.mod', 'Go'],
+    ['Cargo.toml', 'Rust'],
+    ['pom.xml', 'Java (Maven)'],
+    ['build.gradle', 'Java (Gradle)'],
+    ['Gemfile', 'Ruby'],
+    ['composer.json', 'PHP'],
+    ['Dockerfile', 'Docker'],
+    ['docker-compose.yml', 'Docker Compose'],
+    ['compose.yaml', 'Docker Compose']
+];
+
+const LOCK_FILES = [
+    ['pnpm-lock.yaml', 'pnpm'],
+    ['yarn.lock', 'yarn'],
+    ['package-lock.json', 'npm']
+];
+
+function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+async function readText(file) {
+    try {
+        return await fs.readFile(file, 'utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+async function readPackageJson(dir) {
+    const text = await readText(path.join(dir, 'package.json'));
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return { invalid: error.message };
+    }
+}
+
+// "flask==2.3.0" -> { name: "flask", spec: "==2.3.0" }; comments and options are skipped
+function parseRequirements(text) {
+    return text.split('\n')
+        .map(line => line.replace(/#.*/, '').trim())
+        .filter(line => line && !line.startsWith('-'))
+        .map(line => {
+            const match = /^([A-Za-z0-9._-]+)(\[[^\]]*\])?\s*(.*)$/.exec(line);
+            return match ? { name: match[1], spec: match[3].trim() } : { name: line, spec: '' };
+        });
+}
+
+function git(dir, args) {
+    return new Promise(resolve => {
+        execFile('git', args, { cwd: dir, timeout: GIT_TIMEOUT, maxBuffer: 1024 * 1024 }, (error, stdout) => {
+            resolve(error ? null : stdout.trimEnd());
+        });
+    });
+}
+
+function stackSection({ files, pkg, requirements, stacks }) {
+    const lines = [];
+
+    if (pkg && !pkg.invalid) {
+        const dependencies = { ...pkg.dependencies, ...pkg.devDependencies };
+        const frameworks = NODE_FRAMEWORKS.filter(([name]) => dependencies[name]).map(([, label]) => label);
+        const lockFile = LOCK_FILES.find(([file]) => files.includes(file));
+        lines.push(`Node.js${frameworks.length > 0 ? ` (${frameworks.join(', ')})` : ''}, package manager: ${lockFile ? lockFile[1] : 'npm'}`);
+        if (pkg.engines && pkg.engines.node) lines.push(`Node version: ${pkg.engines.node}`);
+    } else if (pkg && pkg.invalid) {
+        lines.push(`package.json is not valid JSON: ${pkg.invalid}`);
+    }
+
+    if (requirements) {
+        const names = requirements.map(requirement => requirement.name.toLowerCase());
+        const frameworks = PYTHON_FRAMEWORKS.filter(name => names.includes(name));
+        lines.push(`Python${frameworks.length > 0 ? ` (${frameworks.join(', ')})` : ''}`);
+    }
+    const venv = ['.venv', 'venv', 'env'].find(name => files.includes(`${name}/`));
+    if (venv) lines.push(`Python virtualenv: ${venv}`);
+
+    for (const [file, label] of MARKER_FILES) {
+        if (files.includes(file) && !lines.some(line => line.startsWith(label))) lines.push(label);
+    }
+
+    if (stacks) {
+        for (const [name, stack] of Object.entries(stacks)) {
+            lines.push(`Stack "${name}" in ${STACK_FILE}: ${Object.keys(stack.services).join(', ')}`);
+        }
+    }
+
+    return lines.length > 0 ? { title: 'Detected stack', lines } : null;
+}
+
+function scriptsSection(pkg) {
+    if (!pkg || pkg.invalid || !pkg.scripts || Object.keys(pkg.scripts).length === 0) return null;
+    return {
+        title: `package.json scripts${pkg.name ? ` (${pkg.name})` : ''}`,
+        lines: Object.entries(pkg.scripts).map(([name, command]) => `${name}: ${command}`)
+    };
+}
+
+async function gitSection(dir) {
+    const [status, lastCommit] = await Promise.all([
+        git(dir, ['status', '--porcelain=v1', '--branch']),
+        git(dir, ['log', '-1', '--format=%h %s (%cr)'])
+    ]);
+    if (status === null) return null;
+
+    const [branchLine, ...changes] = status.split('\n').filter(Boolean);
+    const lines = [`Branch: ${branchLine.replace(/^## /, '')}`];
+    if (lastCommit) lines.push(`Last commit: ${lastCommit}`);
+    if (changes.length === 0) {
+        lines.push('Working tree clean');
+    } else {
+        lines.push(`${changes.length} changed file${changes.length === 1 ? '' : 's'}:`);
+        lines.push(...changes.slice(0, MAX_CHANGED_FILES).map(change => `  ${change}`));
+        if (changes.length > MAX_CHANGED_FILES) lines.push(`  ... ${changes.length - MAX_CHANGED_FILES} more`);
+    }
+    return { title: 'Git', lines };
+}
+
+function processesSection(processes, dir) {
+    const running = (processes || []).filter(record => record.status === 'running');
+    if (running.length === 0) return null;
+    return {
+        title: 'Running managed processes',
+        lines: running.map(record => {
+            const where = record.cwd && record.cwd !== dir ? `, in ${record.cwd}` : '';
+            return `${record.name}: ${record.command} (pid ${record.pid}${where})`;
+        })
+    };
+}
+
+function requirementsSection(requirements) {
+    if (!requirements || requirements.length === 0) return null;
+    return {
+        title: 'requirements.txt',
+        lines: requirements.map(requirement => `${requirement.name}${requirement.spec}`)
+    };
+}
+
+// Ten names per line, so the list can be cut off part way
+function filesSection(files) {
+    if (files.length === 0) return { title: 'Files', lines: ['(empty directory)'] };
+    const lines = [];
+    for (let i = 0; i < files.length; i += 10) {
+        lines.push(files.slice(i, i + 10).join('  '));
+    }
+    return { title: 'Files', lines };
+}
+
+// Adds sections in order while they fit in `maxTokens`. Returns the text and
+// for each section whether it was sent whole, cut off or left out.
+function fitSections(header, sections, maxTokens) {
+    const parts = [header];
+    let used = estimateTokens(header);
+    const report = [];
+
+    for (const section of sections) {
+        const heading = `${section.title}:`;
+        const full = [heading, ...section.lines.map(line => `  ${line}`)].join('\n');
+        if (used + estimateTokens(full) + 1 <= maxTokens) {
+            parts.push(full);
+            used += estimateTokens(full) + 1;
+            report.push({ title: section.title, status: 'sent' });
+            continue;
+        }
+
+        // Whole lines that fit, leaving room for the "... more" note
+        const kept = [heading];
+        let cost = estimateTokens(heading) + 1 + 5;
+        for (const line of section.lines) {
+            const lineCost = estimateTokens(`  ${line}`) + 1;
+            if (used + cost + lineCost > maxTokens) break;
+            kept.push(`  ${line}`);
+            cost += lineCost;
+        }
+        if (kept.length === 1) {
+            report.push({ title: section.title, status: 'left out' });
+            continue;
+        }
+        const dropped = section.lines.length - (kept.length - 1);
+        kept.push(`  ... ${dropped} more`);
+        parts.push(kept.join('\n'));
+        used += estimateTokens(kept.join('\n')) + 1;
+        report.push({ title: section.title, status: `cut off (${dropped} of ${section.lines.length} lines left out)` });
+    }
+
+    const text = parts.join('\n');
+    return { text, tokens: estimateTokens(text), sections: report };
+}
+
+// options.maxTokens: the budget; options.processes: supervisor records
+async function collectContext(dir, options = {}) {
+    const maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+
+    let entries = [];
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        // an unreadable directory just has no file list
+    }
+    const files = entries
+        .filter(entry => entry.name !== '.git' && entry.name !== 'node_modules' && entry.name !== '.DS_Store')
+        .map(entry => (entry.isDirectory() ? `${entry.name}/` : entry.name))
+        .sort();
+
+    const requirementsText = await readText(path.join(dir, 'requirements.txt'));
+    const [pkg, git, stacks] = await Promise.all([
+        readPackageJson(dir),
+        gitSection(dir),
+        files.includes(STACK_FILE) ? loadStacks(dir).then(loaded => loaded.stacks, () => null) : null
+    ]);
+    const requirements = requirementsText === null ? null : parseRequirements(requirementsText);
+
+    const sections = [
+        stackSection({ files, pkg, requirements, stacks }),
+        scriptsSection(pkg),
+        git,
+        processesSection(options.processes, dir),
+        requirementsSection(requirements),
+        filesSection(files)
+    ].filter(Boolean);
+
+    return fitSections(`Current directory: ${dir}`, sections, maxTokens);
+}
+
+module.exports = {
+    DEFAULT_MAX_TOKENS,
+    estimateTokens,
+    parseRequirements,
+    collectContext
+};
@@ -0,0 +1,156 @@
+// providers.js
+// LLM backends used to turn a user command into an execution plan. Every
+// provider exposes the same shape: { name, model, generate(prompt, options) -> text },
+// where options.request is the user's own command inside the prompt.
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const PROVIDERS = ['gemini', 'openai', 'ollama', 'fake'];
+
+const defaults = {
+    gemini: { model: 'gemini-2.0-flash' },
+    // llama.cpp server, vLLM and most proxies speak the OpenAI chat API
+    openai: { model: 'local-model', baseUrl: 'http://localhost:8080/v1' },
+    ollama: { model: 'llama3.1', baseUrl: 'http://localhost:11434' },
+    fake: { model: 'fixtures', fixturesDir: path.join(__dirname, 'fixtures', 'plans') }
+};
+
+function createGeminiProvider({ apiKey, model }) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const client = genAI.getGenerativeModel({ model });
+
+    return {
+        name: 'gemini',
+        model,
+        async generate(prompt) {
+            const response = await client.generateContent(prompt);
+            return response.response.text();
+        }
+    };
+}
+
+function createOpenAIProvider({ apiKey, model, baseUrl, timeout }) {
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+    return {
+        name: 'openai',
+        model,
+        async generate(prompt) {
+            const { data } = await axios.post(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: 0
+            }, { headers, timeout });
+
+            if (!data.choices || !data.choices.length) {
+                throw new Error(`Empty response from ${baseUrl}`);
+            }
+            return data.choices[0].message.content;
+        }
+    };
+}
+
+function createOllamaProvider({ model, baseUrl, timeout }) {
+    return {
+        name: 'ollama',
+        model,
+        async generate(prompt) {
+            const { data } = await axios.post(`${baseUrl.replace(/\/+$/, '')}/api/chat`, {
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                format: 'json',
+                stream: false,
+                options: { temperature: 0 }
+            }, { timeout });
+
+            return data.message.content;
+        }
+    };
+}
+
+// Answers from fixture files instead of a model so plans can be replayed
+// without a network. Each fixture is a JSON file of the form
+// { "match": "text or /regex/", "response": <plan object or raw text> }.
+// A fixture may give "responses" instead, returned one per call (the last one
+// repeats), to replay a conversation such as a plan repair.
+// "match" is tested against the user's command (options.request), or against
+// the whole prompt when there is none. Fixtures are tried in file-name order;
+// one without "match" is the fallback.
+function createFakeProvider({ fixturesDir }) {
+    let fixtures;
+
+    async function loadFixtures() {
+        const files = (await fs.readdir(fixturesDir)).filter(file => file.endsWith('.json')).sort();
+        const loaded = [];
+
+        for (const file of files) {
+            const fixture = JSON.parse(await fs.readFile(path.join(fixturesDir, file), 'utf8'));
+            loaded.push({ file, ...fixture });
+        }
+        return loaded;
+    }
+
+    function matches(fixture, prompt) {
+        if (!fixture.match) return true;
+
+        const regex = fixture.match.match(/^\/(.+)\/([a-z]*)$/);
+        if (regex) return new RegExp(regex[1], regex[2]).test(prompt);
+        return prompt.toLowerCase().includes(fixture.match.toLowerCase());
+    }
+
+    return {
+        name: 'fake',
+        model: 'fixtures',
+        async generate(prompt, options = {}) {
+            if (!fixtures) fixtures = await loadFixtures();
+
+            const text = options.request || prompt;
+            const fixture = fixtures.find(candidate => candidate.match && matches(candidate, text)) ||
+                fixtures.find(candidate => !candidate.match);
+            if (!fixture) {
+                throw new Error(`No fixture in ${fixturesDir} matches this prompt`);
+            }
+
+            let response = fixture.response;
+            if (fixture.responses) {
+                fixture.calls = (fixture.calls || 0) + 1;
+                response = fixture.responses[Math.min(fixture.calls, fixture.responses.length) - 1];
+            }
+
+            return typeof response === 'string' ? response : JSON.stringify(response, null, 2);
+        }
+    };
+}
+
+// Builds the provider selected in the config
+function createProvider(config) {
+    const name = config.provider || 'gemini';
+    if (!PROVIDERS.includes(name)) {
+        throw new Error(`Unknown AI provider: ${name}. Use one of: ${PROVIDERS.join(', ')}`);
+    }
+
+    const options = {
+        ...defaults[name],
+        apiKey: name === 'gemini' ? config.apiKey : config.providerApiKey,
+        timeout: config.providerTimeout || 120000
+    };
+    if (config.providerModel) options.model = config.providerModel;
+    if (config.providerBaseUrl) options.baseUrl = config.providerBaseUrl;
+    if (config.fixturesDir) options.fixturesDir = path.resolve(config.fixturesDir);
+
+    switch(name) {
+        case 'gemini':
+            if (!options.apiKey) throw new Error('Gemini provider needs an API key');
+            return createGeminiProvider(options);
+        case 'openai':
+            return createOpenAIProvider(options);
+        case 'ollama':
+            return createOllamaProvider(options);
+        case 'fake':
+            return createFakeProvider(options);
+    }
+}
+
+module.exports = { PROVIDERS, defaults, createProvider };
@@ -0,0 +1,175 @@
+// recipes.js
+// Saved AI plans that can be replayed without calling the model. Recipes are
+// stored as JSON in ~/.slaveshell/recipes and may contain {{placeholders}}
+// (optionally with a default: {{port|3000}}) that are filled in at run time.
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const recipesDir = path.join(os.homedir(), '.slaveshell', 'recipes');
+
+const PLACEHOLDER = /\{\{\s*([\w-]+)\s*(?:\|([^}]*))?\}\}/g;
+
+function validateName(name) {
+    if (!name || !/^[\w.-]+$/.test(name)) {
+        throw new Error(`Invalid recipe name: ${name || '(empty)'}. Use letters, numbers, ".", "_" and "-"`);
+    }
+    return name;
+}
+
+function recipePath(name) {
+    return path.join(recipesDir, `${validateName(name)}.json`);
+}
+
+// Applies `fn` to every string in a JSON value
+function mapStrings(value, fn) {
+    if (typeof value === 'string') return fn(value);
+    if (Array.isArray(value)) return value.map(item => mapStrings(item, fn));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+    }
+    return value;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Names of all placeholders used in a plan
+function findPlaceholders(plan) {
+    const names = new Set();
+    mapStrings(plan, text => {
+        for (const match of text.matchAll(PLACEHOLDER)) names.add(match[1]);
+        return text;
+    });
+    return [...names];
+}
+
+// Turns literal values back into placeholders, e.g. { name: 'shop' } replaces
+// "shop" in "cd shop" and "shop/server.js" with "{{name}}". Only whole tokens
+// are replaced, so name=a leaves "react" alone, and all values are replaced in
+// one pass, so a placeholder just put in is never replaced again.
+function parameterize(plan, params) {
+    const entries = Object.entries(params).filter(([, value]) => value !== '');
+    if (entries.length === 0) return plan;
+
+    const keys = new Map(entries.map(([key, value]) => [value, key]));
+    const values = [...keys.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+    const pattern = new RegExp(`(?<![A-Za-z0-9_])(${values.join('|')})(?![A-Za-z0-9_])`, 'g');
+    return mapStrings(plan, text => text.replace(pattern, value => `{{${keys.get(value)}}}`));
+}
+
+// Replaces placeholders with values, falling back to inline and saved defaults
+function fillPlaceholders(plan, values, defaults = {}) {
+    const missing = new Set();
+    const filled = mapStrings(plan, text => text.replace(PLACEHOLDER, (match, key, inlineDefault) => {
+        if (values[key] !== undefined) return values[key];
+        if (inlineDefault !== undefined) return inlineDefault;
+        if (defaults[key] !== undefined) return defaults[key];
+        missing.add(key);
+        return match;
+    }));
+
+    if (missing.size > 0) {
+        throw new Error(`Missing values for: ${[...missing].join(', ')} (pass them as name=value)`);
+    }
+    return filled;
+}
+
+// "name=shop port=4000" -> { name: 'shop', port: '4000' }
+function parseParams(args) {
+    const params = {};
+    for (const arg of args) {
+        const index = arg.indexOf('=');
+        if (index <= 0) {
+            throw new Error(`Expected name=value, got: ${arg}`);
+        }
+        params[arg.slice(0, index)] = arg.slice(index + 1);
+    }
+    return params;
+}
+
+async function saveRecipe(name, plan, options = {}) {
+    const params = options.params || {};
+    const recipe = {
+        name: validateName(name),
+        command: options.command || '',
+        createdAt: new Date().toISOString(),
+        defaults: params,
+        plan: parameterize(plan, params)
+    };
+
+    await fs.mkdir(recipesDir, { recursive: true });
+    await fs.writeFile(recipePath(name), JSON.stringify(recipe, null, 2), 'utf8');
+    return recipe;
+}
+
+async function loadRecipe(name) {
+    try {
+        return JSON.parse(await fs.readFile(recipePath(name), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new Error(`No recipe named ${name}`);
+        if (error instanceof SyntaxError) throw new Error(`Recipe ${name} is not valid JSON: ${error.message}`);
+        throw error;
+    }
+}
+
+async function listRecipes() {
+    let files;
+    try {
+        files = await fs.readdir(recipesDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const recipes = [];
+    for (const file of files.filter(file => file.endsWith('.json')).sort()) {
+        const name = path.basename(file, '.json');
+        try {
+            recipes.push(await loadRecipe(name));
+        } catch (error) {
+            recipes.push({ name, error: error.message });
+        }
+    }
+    return recipes;
+}
+
+async function deleteRecipe(name) {
+    try {
+        await fs.unlink(recipePath(name));
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new Error(`No recipe named ${name}`);
+        throw error;
+    }
+}
+
+// Opens the recipe file in $VISUAL / $EDITOR and checks it is still valid JSON
+async function editRecipe(name) {
+    const file = recipePath(name);
+    await loadRecipe(name);
+
+    const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+    // EDITOR may carry flags, e.g. "code --wait"
+    const [program, ...args] = editor.split(/\s+/);
+    const result = spawnSync(program, [...args, file], { stdio: 'inherit' });
+    if (result.error) {
+        throw new Error(`Could not start editor ${editor}: ${result.error.message}`);
+    }
+
+    return loadRecipe(name);
+}
+
+module.exports = {
+    recipesDir,
+    findPlaceholders,
+    parameterize,
+    fillPlaceholders,
+    parseParams,
+    saveRecipe,
+    loadRecipe,
+    listRecipes,
+    deleteRecipe,
+    editRecipe
+};
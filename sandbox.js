@@ -0,0 +1,106 @@
+// sandbox.js
+// Workspace policy for file operations: every path a plan touches must live
+// under one of the allowed roots, must not match a denied glob, and must not
+// escape the roots through a symlink. A root itself may not be deleted or
+// renamed, or one step could wipe the whole workspace (or the home directory
+// when slave was started there).
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const picomatch = require('picomatch');
+
+// The agent's own state (secrets store, undo journal and its trash, supervisor
+// state, settings) is denied too, so a plan run from the home directory cannot
+// rewrite or delete it
+const DEFAULT_DENIED_GLOBS = [
+    '~/.slaveshell',
+    '~/.slaveshell/**',
+    '~/.ai-agent-config.json',
+    '~/.ssh/**',
+    '~/.gnupg/**',
+    '~/.aws/**',
+    '**/.git',
+    '**/.git/**'
+];
+
+// Actions that remove or move their target
+const DESTRUCTIVE_ACTIONS = ['delete', 'rmdir', 'rename'];
+
+function expandHome(target) {
+    if (target === '~') return os.homedir();
+    if (target.startsWith('~/')) return path.join(os.homedir(), target.slice(2));
+    return target;
+}
+
+function isInside(root, target) {
+    const relative = path.relative(root, target);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Resolves symlinks in the longest existing prefix of the path, so targets
+// that do not exist yet (files about to be written) can be checked too
+async function realPath(target) {
+    let existing = target;
+    const rest = [];
+
+    while (true) {
+        try {
+            return path.join(await fs.realpath(existing), ...rest);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            const parent = path.dirname(existing);
+            if (parent === existing) return target;
+            rest.unshift(path.basename(existing));
+            existing = parent;
+        }
+    }
+}
+
+// Builds the policy from the config; the current directory and the default
+// projects directory are always allowed
+function createPolicy(config, currentDirectory) {
+    const sandbox = config.sandbox || {};
+    const roots = [currentDirectory, config.defaultProjectsDir, ...(sandbox.allowedRoots || [])]
+        .filter(Boolean)
+        .map(root => path.resolve(expandHome(root)));
+    const deniedGlobs = sandbox.deniedGlobs || DEFAULT_DENIED_GLOBS;
+
+    return {
+        allowedRoots: [...new Set(roots)],
+        deniedGlobs,
+        isDenied: picomatch(deniedGlobs.map(expandHome), { dot: true })
+    };
+}
+
+// Throws with a readable reason when `target` is outside the policy
+async function checkPath(policy, target, action = 'access') {
+    const resolved = path.resolve(expandHome(target));
+    const refuse = reason => {
+        throw new Error(`Sandbox refused to ${action} ${resolved}: ${reason}`);
+    };
+
+    if (!policy.allowedRoots.some(root => isInside(root, resolved))) {
+        refuse(`outside the allowed roots (${policy.allowedRoots.join(', ')})`);
+    }
+    if (policy.isDenied(resolved)) {
+        refuse(`matches a denied pattern (${policy.deniedGlobs.join(', ')})`);
+    }
+    if (DESTRUCTIVE_ACTIONS.includes(action) && policy.allowedRoots.includes(resolved)) {
+        refuse('it is an allowed root itself');
+    }
+
+    const real = await realPath(resolved);
+    if (real !== resolved) {
+        const realRoots = await Promise.all(policy.allowedRoots.map(realPath));
+        if (!realRoots.some(root => isInside(root, real))) {
+            refuse(`a symlink points outside the allowed roots (to ${real})`);
+        }
+        if (policy.isDenied(real)) {
+            refuse(`a symlink points to a denied location (${real})`);
+        }
+    }
+
+    return resolved;
+}
+
+module.exports = { DEFAULT_DENIED_GLOBS, createPolicy, checkPath };
@@ -0,0 +1,131 @@
+// session.js
+// Conversation memory for follow-up commands. Every AI command adds a turn
+// (what was asked, what the plan did, which processes it started, what went
+// wrong) and the most recent turns go into the next prompt, so "ab usme login
+// route add karo" knows what "usme" refers to. A session can be saved under a
+// name in ~/.slaveshell/sessions; once saved or loaded, new turns are written
+// back to it automatically.
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { estimateTokens } = require('./projectContext.js');
+
+const NAME = /^[\w-]+$/;
+// Effects listed per turn in the prompt; the rest are counted
+const MAX_EFFECTS = 8;
+// Turns kept in memory and in a saved session
+const MAX_STORED_TURNS = 50;
+
+function describeTurn(turn, index) {
+    const lines = [`${index}. "${turn.command}" (in ${turn.cwd}) -> ${turn.outcome}${turn.description ? `: ${turn.description}` : ''}`];
+    if (turn.effects.length > 0) {
+        const shown = turn.effects.slice(0, MAX_EFFECTS);
+        const more = turn.effects.length - shown.length;
+        lines.push(`   did: ${shown.join('; ')}${more > 0 ? `; +${more} more` : ''}`);
+    }
+    if (turn.processes.length > 0) lines.push(`   started processes: ${turn.processes.join(', ')}`);
+    if (turn.error) lines.push(`   error: ${turn.error.split('\n')[0]}`);
+    return lines.join('\n');
+}
+
+class Session {
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(os.homedir(), '.slaveshell', 'sessions');
+        this.name = null;
+        this.turns = [];
+        this.createdAt = new Date().toISOString();
+    }
+
+    _file(name) {
+        if (!NAME.test(name)) throw new Error('Session names may only contain letters, digits, _ and -');
+        return path.join(this.dir, `${name}.json`);
+    }
+
+    // turn: { command, cwd, description, outcome, effects: [text], processes: [name], error }
+    async add(turn) {
+        this.turns.push({ timestamp: new Date().toISOString(), effects: [], processes: [], ...turn });
+        this.turns = this.turns.slice(-MAX_STORED_TURNS);
+        if (this.name) await this.save(this.name);
+    }
+
+    // Starts over with no turns and no name
+    clear() {
+        this.name = null;
+        this.turns = [];
+        this.createdAt = new Date().toISOString();
+    }
+
+    async save(name) {
+        const file = this._file(name);
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(file, JSON.stringify({
+            name,
+            createdAt: this.createdAt,
+            savedAt: new Date().toISOString(),
+            turns: this.turns
+        }, null, 2), 'utf8');
+        this.name = name;
+        return file;
+    }
+
+    async load(name) {
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(this._file(name), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') throw new Error(`No saved session named ${name}`);
+            throw error;
+        }
+        this.name = name;
+        this.turns = data.turns || [];
+        this.createdAt = data.createdAt || new Date().toISOString();
+    }
+
+    // Saved sessions, most recently saved first
+    async list() {
+        let files;
+        try {
+            files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const sessions = [];
+        for (const file of files) {
+            try {
+                const data = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+                sessions.push({ name: path.basename(file, '.json'), turns: (data.turns || []).length, savedAt: data.savedAt });
+            } catch (error) {
+                // not a session file
+            }
+        }
+        return sessions.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+    }
+
+    // The most recent turns, oldest first, as prompt text: at most maxTurns
+    // turns and maxTokens tokens. Returns { text, turns } or null when empty.
+    toPrompt({ maxTurns = 5, maxTokens = 800 } = {}) {
+        // slice(-0) would be every turn
+        if (maxTurns <= 0) return null;
+        const recent = this.turns.slice(-maxTurns);
+        const kept = [];
+        let used = 0;
+        for (let i = recent.length - 1; i >= 0; i--) {
+            const cost = estimateTokens(describeTurn(recent[i], 0)) + 1;
+            if (used + cost > maxTokens) break;
+            kept.unshift(recent[i]);
+            used += cost;
+        }
+        if (recent.length === 0) return null;
+        // the last turn alone is over the budget: send the start of it
+        if (kept.length === 0) {
+            return { text: describeTurn(recent[recent.length - 1], 1).slice(0, maxTokens * 4), turns: 1 };
+        }
+        return {
+            text: kept.map((turn, index) => describeTurn(turn, index + 1)).join('\n'),
+            turns: kept.length
+        };
+    }
+}
+
+module.exports = Session;
@@ -0,0 +1,482 @@
+// sqlDatabase.js
+// SQLite, PostgreSQL and MySQL support for database-operation actions. Every
+// driver is wrapped in the same small client:
+// { dialect, database, query(sql, params), batch(fn), execScript(sql), close() }.
+// Values always go through bound parameters; table and column names cannot be
+// bound, so they are validated instead.
+const fs = require('fs').promises;
+const path = require('path');
+const { filterNames } = require('./backup.js');
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const COLUMN_TYPE = /^[A-Za-z][A-Za-z0-9_ (),.-]*$/;
+const READ_ONLY = /^\s*(select|pragma|explain|show|describe)\b/i;
+
+function quoteIdentifier(dialect, name) {
+    if (typeof name !== 'string' || !IDENTIFIER.test(name)) {
+        throw new Error(`Invalid table or column name: ${name}`);
+    }
+    return dialect === 'mysql' ? `\`${name}\`` : `"${name}"`;
+}
+
+function placeholder(dialect, index) {
+    return dialect === 'postgres' ? `$${index}` : '?';
+}
+
+// Turns a connection string such as "sqlite:./data.db" or "./data.db" into a file path
+function sqliteFile(connectionString) {
+    return connectionString.replace(/^(sqlite:(\/\/)?|file:)/, '') || ':memory:';
+}
+
+// Name used for backup files: the explicit database, else the one in the URL
+function databaseName(connectionString, database, fallback) {
+    if (database) return database;
+    try {
+        return decodeURIComponent(new URL(connectionString).pathname.slice(1)) || fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function toSqliteValue(value) {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+async function openSqlite(file) {
+    const initSqlJs = require('sql.js');
+    const SQL = await initSqlJs();
+
+    let db;
+    if (file === ':memory:') {
+        db = new SQL.Database();
+    } else {
+        try {
+            db = new SQL.Database(await fs.readFile(file));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            db = new SQL.Database();
+        }
+    }
+
+    // sql.js keeps the database in memory, so changes are written back to the
+    // file (once per batch rather than once per statement)
+    let batching = false;
+    const persist = async () => {
+        if (file !== ':memory:' && !batching) {
+            await fs.writeFile(file, Buffer.from(db.export()));
+        }
+    };
+
+    return {
+        dialect: 'sqlite',
+        database: file === ':memory:' ? 'memory' : path.basename(file, path.extname(file)),
+        async query(sql, params = []) {
+            const statement = db.prepare(sql);
+            try {
+                statement.bind(params.map(toSqliteValue));
+                const rows = [];
+                while (statement.step()) {
+                    rows.push(statement.getAsObject());
+                }
+                if (READ_ONLY.test(sql)) {
+                    return { rows, rowCount: rows.length };
+                }
+                await persist();
+                return { rows, rowCount: rows.length || db.getRowsModified() };
+            } finally {
+                statement.free();
+            }
+        },
+        async batch(fn) {
+            batching = true;
+            db.run('BEGIN');
+            try {
+                const result = await fn();
+                db.run('COMMIT');
+                return result;
+            } catch (error) {
+                db.run('ROLLBACK');
+                throw error;
+            } finally {
+                batching = false;
+                await persist();
+            }
+        },
+        async execScript(sql) {
+            db.exec(sql);
+            await persist();
+        },
+        async close() {
+            await persist();
+            db.close();
+        }
+    };
+}
+
+async function openPostgres(connectionString, database) {
+    const { Pool } = require('pg');
+    const pool = new Pool({ connectionString, ...(database ? { database } : {}) });
+    // Fail now rather than on the first query
+    const client = await pool.connect();
+    client.release();
+
+    return {
+        dialect: 'postgres',
+        database: databaseName(connectionString, database, 'postgres'),
+        async query(sql, params = []) {
+            const result = await pool.query(sql, params);
+            return { rows: result.rows || [], rowCount: result.rowCount };
+        },
+        batch: fn => fn(),
+        // Without parameters, one query may hold several statements
+        execScript: async sql => { await pool.query(sql); },
+        close: () => pool.end()
+    };
+}
+
+async function openMysql(connectionString, database) {
+    const mysql = require('mysql2/promise');
+    const pool = mysql.createPool({ uri: connectionString, connectionLimit: 5, ...(database ? { database } : {}) });
+    const connection = await pool.getConnection();
+    connection.release();
+
+    return {
+        dialect: 'mysql',
+        database: databaseName(connectionString, database, 'mysql'),
+        async query(sql, params = []) {
+            const [result] = await pool.query(sql, params);
+            return Array.isArray(result)
+                ? { rows: result, rowCount: result.length }
+                : { rows: [], rowCount: result.affectedRows };
+        },
+        batch: fn => fn(),
+        // The pool does not allow several statements per query, so scripts get their own connection
+        async execScript(sql) {
+            const connection = await mysql.createConnection({ uri: connectionString, multipleStatements: true, ...(database ? { database } : {}) });
+            try {
+                await connection.query(sql);
+            } finally {
+                await connection.end();
+            }
+        },
+        close: () => pool.end()
+    };
+}
+
+// dbType is one of sqlite, postgres, mysql. For sqlite, `target` is the file path.
+function openSqlClient(dbType, target, database) {
+    switch(dbType) {
+        case 'sqlite':
+            return openSqlite(target);
+        case 'postgres':
+            return openPostgres(target, database);
+        case 'mysql':
+            return openMysql(target, database);
+        default:
+            throw new Error(`Unsupported SQL database type: ${dbType}`);
+    }
+}
+
+// Accepts { name: 'text not null' } or [{ name, type, primaryKey, notNull, unique }]
+function columnDefinitions(dialect, fields) {
+    const columns = Array.isArray(fields)
+        ? fields
+        : Object.entries(fields || {}).map(([name, type]) => ({ name, type }));
+
+    if (columns.length === 0) {
+        throw new Error('create-table needs at least one field');
+    }
+
+    return columns.map(column => {
+        const type = column.type || 'text';
+        if (!COLUMN_TYPE.test(type) || type.includes('--')) {
+            throw new Error(`Invalid column type for ${column.name}: ${type}`);
+        }
+        return [
+            quoteIdentifier(dialect, column.name),
+            type,
+            column.primaryKey ? 'PRIMARY KEY' : '',
+            column.notNull ? 'NOT NULL' : '',
+            column.unique ? 'UNIQUE' : ''
+        ].filter(Boolean).join(' ');
+    });
+}
+
+// Builds "WHERE a = ? AND b = ?" from an equality object
+function whereClause(dialect, where, firstIndex = 1) {
+    const entries = Object.entries(where || {});
+    if (entries.length === 0) return { sql: '', params: [] };
+
+    return {
+        sql: ` WHERE ${entries.map(([column], i) => `${quoteIdentifier(dialect, column)} = ${placeholder(dialect, firstIndex + i)}`).join(' AND ')}`,
+        params: entries.map(([, value]) => value)
+    };
+}
+
+async function listTables(client) {
+    switch(client.dialect) {
+        case 'sqlite':
+            return (await client.query(
+                "SELECT name AS table_name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+            )).rows;
+        case 'postgres':
+            return (await client.query(
+                'SELECT table_name FROM information_schema.tables WHERE table_schema = current_schema() ORDER BY table_name'
+            )).rows;
+        case 'mysql':
+            return (await client.query(
+                'SELECT table_name AS table_name FROM information_schema.tables WHERE table_schema = DATABASE() ORDER BY table_name'
+            )).rows;
+    }
+}
+
+async function describeTable(client, table) {
+    switch(client.dialect) {
+        case 'sqlite': {
+            const { rows } = await client.query(`PRAGMA table_info(${quoteIdentifier('sqlite', table)})`);
+            return rows.map(row => ({
+                column: row.name,
+                type: row.type,
+                nullable: row.notnull ? 'NO' : 'YES',
+                default: row.dflt_value,
+                primaryKey: row.pk ? 'YES' : ''
+            }));
+        }
+        case 'postgres':
+            quoteIdentifier('postgres', table);
+            return (await client.query(
+                `SELECT column_name AS "column", data_type AS "type", is_nullable AS nullable, column_default AS "default"
+                 FROM information_schema.columns
+                 WHERE table_schema = current_schema() AND table_name = $1
+                 ORDER BY ordinal_position`,
+                [table]
+            )).rows;
+        case 'mysql':
+            quoteIdentifier('mysql', table);
+            return (await client.query(
+                `SELECT column_name AS \`column\`, data_type AS \`type\`, is_nullable AS nullable, column_default AS \`default\`
+                 FROM information_schema.columns
+                 WHERE table_schema = DATABASE() AND table_name = ?
+                 ORDER BY ordinal_position`,
+                [table]
+            )).rows;
+    }
+}
+
+async function insertRows(client, table, rows) {
+    const dialect = client.dialect;
+    let inserted = 0;
+    for (const row of rows) {
+        const columns = Object.keys(row);
+        const values = columns.map((column, i) => placeholder(dialect, i + 1));
+        const result = await client.query(
+            `INSERT INTO ${quoteIdentifier(dialect, table)} (${columns.map(column => quoteIdentifier(dialect, column)).join(', ')}) VALUES (${values.join(', ')})`,
+            columns.map(column => row[column])
+        );
+        inserted += result.rowCount || 1;
+    }
+    return inserted;
+}
+
+// CREATE TABLE statement for a table. Postgres has no SHOW CREATE TABLE, so
+// the statement is rebuilt from the column list (without constraints).
+async function createStatement(client, table) {
+    const quoted = quoteIdentifier(client.dialect, table);
+
+    switch(client.dialect) {
+        case 'sqlite': {
+            const { rows } = await client.query("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+            return rows[0] && rows[0].sql;
+        }
+        case 'mysql': {
+            const { rows } = await client.query(`SHOW CREATE TABLE ${quoted}`);
+            return rows[0] && rows[0]['Create Table'];
+        }
+        case 'postgres': {
+            const columns = await describeTable(client, table);
+            const definitions = columns.map(column => {
+                const serial = /^nextval\(/.test(column.default || '');
+                const type = serial ? (column.type === 'bigint' ? 'bigserial' : 'serial') : column.type;
+                return [
+                    quoteIdentifier('postgres', column.column),
+                    type,
+                    column.nullable === 'NO' ? 'NOT NULL' : '',
+                    column.default && !serial ? `DEFAULT ${column.default}` : ''
+                ].filter(Boolean).join(' ');
+            });
+            return `CREATE TABLE ${quoted} (${definitions.join(', ')})`;
+        }
+    }
+}
+
+function ifNotExists(create) {
+    return create.replace(/^\s*CREATE\s+TABLE\s+(?!IF\s+NOT\s+EXISTS)/i, 'CREATE TABLE IF NOT EXISTS ');
+}
+
+// Reads every (included) table with its CREATE statement and rows
+async function dumpTables(client, options = {}) {
+    const names = filterNames((await listTables(client)).map(row => row.table_name), options);
+    const collections = [];
+
+    for (const name of names) {
+        const { rows } = await client.query(`SELECT * FROM ${quoteIdentifier(client.dialect, name)}`);
+        collections.push({ name, create: await createStatement(client, name), rows });
+    }
+
+    return { dbType: client.dialect, database: client.database, createdAt: new Date().toISOString(), collections };
+}
+
+function sqlLiteral(dialect, value) {
+    if (value === null || value === undefined) return 'NULL';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'boolean') {
+        if (dialect === 'sqlite') return value ? '1' : '0';
+        return value ? 'TRUE' : 'FALSE';
+    }
+    if (value instanceof Uint8Array) {
+        const hex = Buffer.from(value).toString('hex');
+        return dialect === 'postgres' ? `'\\x${hex}'` : `X'${hex}'`;
+    }
+
+    let text;
+    if (value instanceof Date) {
+        text = dialect === 'mysql' ? value.toISOString().replace('T', ' ').replace('Z', '') : value.toISOString();
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+
+    text = text.replace(/'/g, "''");
+    if (dialect === 'mysql') text = text.replace(/\\/g, '\\\\');
+    return `'${text}'`;
+}
+
+// A dump as a SQL script. "-- Table:" lines let a restore find the tables again.
+function formatSqlDump(dump) {
+    const dialect = dump.dbType;
+    const lines = [
+        `-- SlaveShell backup of ${dialect} database ${dump.database}`,
+        `-- Created ${dump.createdAt}`,
+        'BEGIN;'
+    ];
+
+    for (const table of dump.collections) {
+        const quoted = quoteIdentifier(dialect, table.name);
+        lines.push('', `-- Table: ${table.name}`);
+        if (table.create) lines.push(`${ifNotExists(table.create)};`);
+        for (const row of table.rows) {
+            const columns = Object.keys(row);
+            lines.push(`INSERT INTO ${quoted} (${columns.map(column => quoteIdentifier(dialect, column)).join(', ')}) VALUES (${columns.map(column => sqlLiteral(dialect, row[column])).join(', ')});`);
+        }
+    }
+
+    lines.push('', 'COMMIT;', '');
+    return lines.join('\n');
+}
+
+// Restores a parsed backup (see backup.js). CREATE statements are only reused
+// for the same kind of database; otherwise the tables must already exist.
+async function restoreTables(client, backup, options = {}) {
+    const dialect = client.dialect;
+
+    if (backup.format === 'sql') {
+        if ((options.include && options.include.length) || (options.exclude && options.exclude.length)) {
+            throw new Error('include and exclude only work with JSON backups');
+        }
+        const tables = [...backup.script.matchAll(/^-- Table: (\S+)$/gm)].map(match => match[1]);
+        if (options.replace) {
+            for (const table of tables) {
+                await client.query(`DROP TABLE IF EXISTS ${quoteIdentifier(dialect, table)}`);
+            }
+        }
+        await client.execScript(backup.script);
+        const counts = [];
+        for (const table of tables) {
+            const { rows } = await client.query(`SELECT COUNT(*) AS count FROM ${quoteIdentifier(dialect, table)}`);
+            counts.push({ table, rows: Number(rows[0].count) });
+        }
+        return counts;
+    }
+
+    if (backup.dbType === 'mongodb') {
+        throw new Error(`A MongoDB backup cannot be restored into ${dialect}`);
+    }
+
+    const included = filterNames(backup.collections.map(table => table.name), options);
+    return client.batch(async () => {
+        const counts = [];
+        for (const table of backup.collections.filter(table => included.includes(table.name))) {
+            const quoted = quoteIdentifier(dialect, table.name);
+            if (options.replace) {
+                await client.query(`DROP TABLE IF EXISTS ${quoted}`);
+            }
+            if (table.create && backup.dbType === dialect) {
+                await client.query(ifNotExists(table.create));
+            }
+            await insertRows(client, table.name, table.rows || []);
+            counts.push({ table: table.name, rows: (table.rows || []).length });
+        }
+        return counts;
+    });
+}
+
+// Runs one database-operation action against an open client
+async function runSqlOperation(client, operation) {
+    const { action, data, sql, params, where, limit } = operation;
+    const table = operation.table || operation.collection;
+    const dialect = client.dialect;
+
+    switch(action) {
+        case 'create-table': {
+            const columns = columnDefinitions(dialect, operation.fields);
+            await client.query(`CREATE TABLE IF NOT EXISTS ${quoteIdentifier(dialect, table)} (${columns.join(', ')})`);
+            return { success: true, message: `Table ${table} created` };
+        }
+
+        case 'insert': {
+            const inserted = await client.batch(() => insertRows(client, table, data || []));
+            return { success: true, inserted };
+        }
+
+        case 'query': {
+            if (sql) {
+                const result = await client.query(sql, params || []);
+                return { success: true, data: result.rows, rowCount: result.rowCount };
+            }
+            const filter = whereClause(dialect, where);
+            const limitSql = Number.isInteger(limit) ? ` LIMIT ${limit}` : '';
+            const result = await client.query(`SELECT * FROM ${quoteIdentifier(dialect, table)}${filter.sql}${limitSql}`, filter.params);
+            return { success: true, data: result.rows, rowCount: result.rowCount };
+        }
+
+        case 'drop-table':
+            await client.query(`DROP TABLE IF EXISTS ${quoteIdentifier(dialect, table)}`);
+            return { success: true, message: `Table ${table} dropped` };
+
+        case 'describe':
+            return { success: true, data: await describeTable(client, table) };
+
+        case 'list-tables':
+            return { success: true, data: await listTables(client) };
+
+        default:
+            throw new Error(`Unsupported ${dialect} operation: ${action}`);
+    }
+}
+
+module.exports = {
+    openSqlClient,
+    runSqlOperation,
+    dumpTables,
+    formatSqlDump,
+    restoreTables,
+    sqliteFile,
+    quoteIdentifier
+};
@@ -0,0 +1,243 @@
+// stacks.js
+// Compose-like stacks: named groups of services defined in a project file
+// (slaveshell.stacks.json) that start in dependency order. Each service runs
+// under the supervisor as "<stack>.<service>", and a service only starts once
+// everything it depends on is ready.
+//
+// {
+//   "stacks": {
+//     "mern": {
+//       "env": { "NODE_ENV": "development" },
+//       "services": {
+//         "mongo": { "command": "mongod --dbpath ./data", "ready": { "type": "tcp", "port": 27017 } },
+//         "api": { "command": "npm run dev", "cwd": "server", "dependsOn": ["mongo"],
+//                  "env": { "PORT": "5000" }, "ready": { "type": "http", "url": "http://localhost:5000/health" } },
+//         "client": { "command": "npm start", "cwd": "client", "dependsOn": ["api"] }
+//       }
+//     }
+//   }
+// }
+const fs = require('fs').promises;
+const path = require('path');
+const Ajv = require('ajv');
+const { checkHealth } = require('./supervisor.js');
+const { readLog } = require('./processLogs.js');
+
+const STACK_FILE = 'slaveshell.stacks.json';
+const READY_TIMEOUT = 60 * 1000;
+const READY_POLL = 500;
+// Services without a readiness check only have to survive this long
+const SETTLE_TIME = 1000;
+
+const envSchema = { type: 'object', additionalProperties: { type: ['string', 'number', 'boolean'] } };
+
+const readySchema = {
+    type: 'object',
+    properties: {
+        type: { enum: ['tcp', 'http', 'log', 'delay'] },
+        port: { type: 'integer', minimum: 1, maximum: 65535 },
+        host: { type: 'string', minLength: 1 },
+        url: { type: 'string', pattern: '^https?://' },
+        pattern: { type: 'string', minLength: 1 },
+        ms: { type: 'integer', minimum: 0 },
+        timeout: { type: 'integer', minimum: 100 }
+    },
+    required: ['type'],
+    allOf: [
+        { if: { properties: { type: { const: 'tcp' } } }, then: { required: ['port'] } },
+        { if: { properties: { type: { const: 'http' } } }, then: { required: ['url'] } },
+        { if: { properties: { type: { const: 'log' } } }, then: { required: ['pattern'] } },
+        { if: { properties: { type: { const: 'delay' } } }, then: { required: ['ms'] } }
+    ]
+};
+
+const serviceSchema = {
+    type: 'object',
+    properties: {
+        command: { type: 'string', minLength: 1 },
+        cwd: { type: 'string' },
+        env: envSchema,
+        dependsOn: { type: 'array', items: { type: 'string', minLength: 1 } },
+        ready: readySchema,
+        restart: { enum: ['never', 'on-failure', 'always'] },
+        maxRetries: { type: 'integer', minimum: 0 },
+        healthCheck: { type: 'object' },
+        logFile: { type: 'string' }
+    },
+    required: ['command']
+};
+
+const stackFileSchema = {
+    type: 'object',
+    properties: {
+        stacks: {
+            type: 'object',
+            propertyNames: { pattern: '^[\\w-]+$' },
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    env: envSchema,
+                    services: {
+                        type: 'object',
+                        propertyNames: { pattern: '^[\\w-]+$' },
+                        minProperties: 1,
+                        additionalProperties: serviceSchema
+                    }
+                },
+                required: ['services']
+            }
+        }
+    },
+    required: ['stacks']
+};
+
+const validate = new Ajv({ allErrors: true, strict: false }).compile(stackFileSchema);
+
+// The nearest stack file in `dir` or one of its parents
+async function findStackFile(dir) {
+    let current = path.resolve(dir);
+    while (true) {
+        const file = path.join(current, STACK_FILE);
+        try {
+            await fs.access(file);
+            return file;
+        } catch (error) {
+            const parent = path.dirname(current);
+            if (parent === current) return null;
+            current = parent;
+        }
+    }
+}
+
+// Reads and validates the stack file; relative service cwds are resolved
+// against the directory the file is in
+async function loadStacks(dir) {
+    const file = await findStackFile(dir);
+    if (!file) {
+        throw new Error(`No ${STACK_FILE} found in ${dir} or its parents`);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+
+    if (!validate(data)) {
+        const messages = validate.errors
+            .filter(error => error.keyword !== 'if')
+            .map(error => `${error.instancePath || '/'} ${error.message}`);
+        throw new Error(`Invalid ${STACK_FILE}:\n  ${[...new Set(messages)].join('\n  ')}`);
+    }
+
+    return { file, root: path.dirname(file), stacks: data.stacks };
+}
+
+// A stack by name; the name may be left out when the file defines only one
+function selectStack(loaded, name) {
+    const names = Object.keys(loaded.stacks);
+    if (!name) {
+        if (names.length === 1) return { name: names[0], stack: loaded.stacks[names[0]] };
+        throw new Error(`Name a stack: ${names.join(', ')}`);
+    }
+    if (!loaded.stacks[name]) {
+        throw new Error(`No stack named ${name} in ${loaded.file} (available: ${names.join(', ')})`);
+    }
+    return { name, stack: loaded.stacks[name] };
+}
+
+function processName(stackName, serviceName) {
+    return `${stackName}.${serviceName}`;
+}
+
+// Services ordered so that every service comes after its dependencies.
+// `only` limits the result to the named services plus what they depend on.
+function startOrder(services, only = []) {
+    const order = [];
+    const state = new Map();
+
+    const visit = (name, trail) => {
+        if (!services[name]) {
+            throw new Error(trail.length > 0
+                ? `Service ${trail[trail.length - 1]} depends on unknown service ${name}`
+                : `No service named ${name}`);
+        }
+        if (state.get(name) === 'done') return;
+        if (state.get(name) === 'visiting') {
+            const cycle = [...trail.slice(trail.indexOf(name)), name];
+            throw new Error(`Dependency cycle: ${cycle.join(' -> ')}`);
+        }
+        state.set(name, 'visiting');
+        for (const dependency of services[name].dependsOn || []) {
+            visit(dependency, [...trail, name]);
+        }
+        state.set(name, 'done');
+        order.push(name);
+    };
+
+    for (const name of only.length > 0 ? only : Object.keys(services)) {
+        visit(name, []);
+    }
+    return order;
+}
+
+function serviceEnv(stack, service) {
+    const env = {};
+    for (const [key, value] of Object.entries({ ...stack.env, ...service.env })) {
+        env[key] = String(value);
+    }
+    return env;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function probe(ready, { logFile, startedAt }) {
+    if (ready.type === 'log') {
+        return readLog(logFile, { grep: new RegExp(ready.pattern), since: startedAt, lines: 1 }).length > 0;
+    }
+    return checkHealth(ready);
+}
+
+// Resolves once the service passes its readiness check. `isRunning` is polled
+// as well, so a service that crashes on startup fails fast instead of timing out.
+async function waitForReady(service, { logFile, startedAt, isRunning }) {
+    const ready = service.ready;
+
+    if (!ready || ready.type === 'delay') {
+        await sleep(ready ? ready.ms : SETTLE_TIME);
+        if (!(await isRunning())) throw new Error('exited during startup');
+        return;
+    }
+
+    const timeout = ready.timeout || READY_TIMEOUT;
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        if (!(await isRunning())) throw new Error('exited before it was ready');
+        if (await probe(ready, { logFile, startedAt })) return;
+        await sleep(READY_POLL);
+    }
+    throw new Error(`not ready after ${timeout / 1000}s`);
+}
+
+function describeReady(ready) {
+    if (!ready) return 'running';
+    switch(ready.type) {
+        case 'tcp': return `port ${ready.port}`;
+        case 'http': return ready.url;
+        case 'log': return `log /${ready.pattern}/`;
+        default: return `${ready.ms}ms`;
+    }
+}
+
+module.exports = {
+    STACK_FILE,
+    findStackFile,
+    loadStacks,
+    selectStack,
+    processName,
+    startOrder,
+    serviceEnv,
+    waitForReady,
+    describeReady
+};
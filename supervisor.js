@@ -0,0 +1,691 @@
+// supervisor.js
+// Background processes are owned by a small detached daemon instead of the
+// interactive session, so they keep running after `slave` exits and a later
+// session can list, stop, restart and tail them. The daemon keeps its state
+// (PID, command, cwd and log file per process) in ~/.slaveshell/supervisor and
+// talks to clients over a local socket with one JSON message per line.
+//
+// Run as `node supervisor.js --daemon`; clients start it on demand.
+//
+// A command may refer to secrets as {{secret:NAME}}. The state file keeps the
+// reference; the values come with the start or restart request and are only
+// held in the daemon's memory, so a restart after the daemon itself was
+// restarted needs them sent again. They reach the command as environment
+// variables, never as part of the command line.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const net = require('net');
+const { spawn, spawnSync } = require('child_process');
+const { LogWriter, parseSize } = require('./processLogs.js');
+const monitor = require('./monitor.js');
+const Logger = require('./logger.js');
+const { shellSecrets } = require('./secrets.js');
+
+const supervisorDir = path.join(os.homedir(), '.slaveshell', 'supervisor');
+const stateFile = path.join(supervisorDir, 'processes.json');
+const daemonLog = path.join(supervisorDir, 'supervisor.log');
+const logDir = path.join(supervisorDir, 'logs');
+const socketPath = process.platform === 'win32'
+    ? `\\\\.\\pipe\\slaveshell-supervisor-${os.userInfo().username}`
+    : path.join(supervisorDir, 'supervisor.sock');
+
+// The daemon exits after this long with nothing left to supervise
+const IDLE_TIMEOUT = 60 * 1000;
+const STOP_TIMEOUT = 5000;
+// How often resource alerts ({ rssMb, cpu } per process) are checked
+const MONITOR_INTERVAL = 10 * 1000;
+
+function isAlive(pid) {
+    if (!pid) return false;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+// Children are started as process group leaders, so the whole tree
+// (e.g. npm -> node) goes down together
+function killTree(pid, signal = 'SIGTERM') {
+    if (process.platform === 'win32') {
+        spawnSync('taskkill', ['/pid', String(pid), '/T', '/F'], { windowsHide: true });
+        return;
+    }
+    try {
+        process.kill(-pid, signal);
+    } catch (error) {
+        if (error.code !== 'ESRCH') throw error;
+        try {
+            process.kill(pid, signal);
+        } catch (inner) {
+            if (inner.code !== 'ESRCH') throw inner;
+        }
+    }
+}
+
+function defaultLogFile(name) {
+    return path.join(logDir, `${name.replace(/[^\w.-]+/g, '_')}.log`);
+}
+
+function readState() {
+    try {
+        return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+// Restart policies apply when a process exits without being stopped
+const RESTART_POLICIES = ['never', 'on-failure', 'always'];
+const DEFAULT_MAX_RETRIES = 5;
+const BACKOFF_BASE = 1000;
+const BACKOFF_MAX = 30 * 1000;
+// A process that stayed up this long starts again from the shortest backoff
+const STABLE_AFTER = 30 * 1000;
+
+const HEALTH_DEFAULTS = {
+    interval: 5000,
+    timeout: 2000,
+    startupTimeout: 30 * 1000,
+    failureThreshold: 3
+};
+
+// Resolves true when the HTTP endpoint answers below 400 or the TCP port accepts
+function checkHealth(healthCheck) {
+    const timeout = healthCheck.timeout || HEALTH_DEFAULTS.timeout;
+
+    return new Promise(resolve => {
+        if (healthCheck.type === 'http') {
+            const client = healthCheck.url.startsWith('https:') ? require('https') : require('http');
+            const request = client.get(healthCheck.url, { timeout }, response => {
+                response.resume();
+                resolve(response.statusCode < 400);
+            });
+            request.on('timeout', () => request.destroy());
+            request.on('error', () => resolve(false));
+            return;
+        }
+
+        const socket = net.createConnection({ port: healthCheck.port, host: healthCheck.host || '127.0.0.1' });
+        socket.setTimeout(timeout, () => socket.destroy());
+        socket.on('connect', () => {
+            socket.end();
+            resolve(true);
+        });
+        socket.on('error', () => resolve(false));
+        socket.on('close', () => resolve(false));
+    });
+}
+
+function validateSpec({ name, command, restart, healthCheck, logRotation }) {
+    if (!name || !command) {
+        throw new Error('start needs a name and a command');
+    }
+    if (logRotation && logRotation.maxSize !== undefined) {
+        parseSize(logRotation.maxSize);
+    }
+    if (restart && !RESTART_POLICIES.includes(restart)) {
+        throw new Error(`Unknown restart policy: ${restart} (use ${RESTART_POLICIES.join(', ')})`);
+    }
+    if (healthCheck) {
+        if (healthCheck.type === 'http' && !healthCheck.url) {
+            throw new Error('An http health check needs a url');
+        }
+        if (healthCheck.type === 'tcp' && !healthCheck.port) {
+            throw new Error('A tcp health check needs a port');
+        }
+        if (!['http', 'tcp'].includes(healthCheck.type)) {
+            throw new Error(`Unknown health check type: ${healthCheck.type} (use http or tcp)`);
+        }
+    }
+}
+
+// "running" and "restarting" processes keep the daemon alive
+function isActive(record) {
+    return record.status === 'running' || record.status === 'restarting';
+}
+
+class Supervisor {
+    constructor(logger = new Logger({ console: false })) {
+        this.logger = logger;
+        this.processes = new Map();
+        this.children = new Map();
+        this.timers = new Map();
+        // process name -> { secret name: value }, never saved
+        this.secrets = new Map();
+        this.idleTimer = null;
+        this.onIdle = () => {};
+    }
+
+    // Processes from an earlier daemon that are still alive are adopted:
+    // they cannot be waited on, so their PID is polled instead
+    load() {
+        for (const [name, saved] of Object.entries(readState())) {
+            const record = { restart: 'never', restarts: 0, retries: 0, healthCheck: null, ...saved };
+            this.processes.set(name, record);
+
+            if (record.status === 'running' && isAlive(record.pid)) {
+                this._poll(name, record.pid);
+                this._startHealthChecks(record);
+            } else if (record.status === 'running') {
+                this._exited(name, record.pid, null, null);
+            } else if (record.status === 'restarting') {
+                try {
+                    this._spawn(record);
+                } catch (error) {
+                    Object.assign(record, { status: 'failed', lastError: error.message });
+                }
+            }
+        }
+        this._save();
+    }
+
+    _save() {
+        fs.mkdirSync(supervisorDir, { recursive: true });
+        const temp = `${stateFile}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify(Object.fromEntries(this.processes), null, 2), { mode: 0o600 });
+        fs.renameSync(temp, stateFile);
+        this._checkIdle();
+    }
+
+    _checkIdle() {
+        clearTimeout(this.idleTimer);
+        if (![...this.processes.values()].some(isActive)) {
+            this.idleTimer = setTimeout(() => this.onIdle(), IDLE_TIMEOUT);
+            this.idleTimer.unref();
+        }
+    }
+
+    _clearTimers(name) {
+        const timers = this.timers.get(name);
+        if (timers) {
+            clearTimeout(timers.restart);
+            clearInterval(timers.health);
+            this.timers.delete(name);
+        }
+    }
+
+    _exited(name, pid, code, signal) {
+        const record = this.processes.get(name);
+        // A restart may already have replaced the record, or a stop finalised it
+        if (!record || record.pid !== pid || record.status !== 'running') return;
+
+        this.children.delete(name);
+        this._clearTimers(name);
+        const stopping = record.stopping;
+        delete record.stopping;
+        Object.assign(record, {
+            status: stopping ? 'stopped' : (code === 0 ? 'exited' : 'failed'),
+            health: null,
+            exitCode: code,
+            signal: signal || null,
+            stoppedAt: new Date().toISOString()
+        });
+
+        if (stopping) {
+            this.logger.info(`Process ${name} stopped`, { process: name, pid, outcome: 'stopped' });
+        } else {
+            const level = record.status === 'failed' ? 'warn' : 'info';
+            this.logger.log(level, `Process ${name} exited${code !== null ? ` with code ${code}` : ''}${signal ? ` (${signal})` : ''}`, {
+                process: name, pid, exitCode: code, signal: signal || undefined, outcome: record.status
+            });
+            this._scheduleRestart(record);
+        }
+        this._save();
+    }
+
+    // Exponential backoff: 1s, 2s, 4s, ... up to 30s, at most maxRetries in a row
+    _scheduleRestart(record) {
+        const policy = record.restart || 'never';
+        if (policy === 'never' || (policy === 'on-failure' && record.exitCode === 0)) return;
+
+        if (Date.now() - new Date(record.startedAt) > STABLE_AFTER) {
+            record.retries = 0;
+        }
+        const maxRetries = record.maxRetries === undefined ? DEFAULT_MAX_RETRIES : record.maxRetries;
+        if (record.retries >= maxRetries) {
+            record.status = 'failed';
+            record.lastError = `Gave up after ${record.retries} restarts`;
+            this.logger.error(`Process ${record.name}: ${record.lastError}`, { process: record.name, outcome: 'failed' });
+            return;
+        }
+
+        const delay = Math.min(BACKOFF_BASE * 2 ** record.retries, BACKOFF_MAX);
+        record.retries += 1;
+        record.status = 'restarting';
+        record.nextRestartAt = new Date(Date.now() + delay).toISOString();
+        this.logger.info(`Process ${record.name} restarts in ${delay / 1000}s (${policy})`, { process: record.name, retry: record.retries });
+
+        const timer = setTimeout(() => {
+            if (record.status !== 'restarting') return;
+            record.restarts += 1;
+            try {
+                this._spawn(record);
+            } catch (error) {
+                Object.assign(record, { status: 'failed', lastError: error.message });
+                this._save();
+            }
+        }, delay);
+        this.timers.set(record.name, { restart: timer });
+    }
+
+    // Marks the process healthy/unhealthy; a process that never becomes healthy
+    // (or stops being healthy) is killed so its restart policy can take over
+    _startHealthChecks(record) {
+        if (!record.healthCheck) return;
+
+        const options = { ...HEALTH_DEFAULTS, ...record.healthCheck };
+        const pid = record.pid;
+        const startupDeadline = new Date(record.startedAt).getTime() + options.startupTimeout;
+        let failures = 0;
+        let checking = false;
+
+        const fail = reason => {
+            record.health = 'unhealthy';
+            record.lastError = reason;
+            this.logger.warn(`Process ${record.name} is unhealthy: ${reason}`, { process: record.name, pid, outcome: 'unhealthy' });
+            this._save();
+            if ((record.restart || 'never') !== 'never') {
+                killTree(pid, 'SIGTERM');
+            }
+        };
+
+        const timer = setInterval(async () => {
+            if (checking) return;
+            checking = true;
+            const healthy = await checkHealth(options);
+            checking = false;
+            if (record.pid !== pid || record.status !== 'running') return;
+
+            if (healthy) {
+                failures = 0;
+                if (record.health !== 'healthy') {
+                    this.logger.info(`Process ${record.name} is healthy`, { process: record.name, pid });
+                    record.health = 'healthy';
+                    record.lastError = null;
+                    this._save();
+                }
+            } else if (record.health === 'starting') {
+                if (Date.now() > startupDeadline) {
+                    fail(`Health check did not pass within ${Math.round(options.startupTimeout / 1000)}s`);
+                }
+            } else if (record.health === 'healthy' && ++failures >= options.failureThreshold) {
+                fail(`Health check failed ${failures} times in a row`);
+            }
+        }, options.interval);
+
+        this.timers.set(record.name, { ...this.timers.get(record.name), health: timer });
+    }
+
+    _poll(name, pid) {
+        const timer = setInterval(() => {
+            if (!isAlive(pid)) {
+                clearInterval(timer);
+                this._exited(name, pid, null, null);
+            }
+        }, 1000);
+    }
+
+    // The command with its {{secret:NAME}} references filled in
+    // The command to spawn, its secrets passed as environment variables
+    _command(record) {
+        const values = this.secrets.get(record.name) || {};
+        return shellSecrets(record.command, secretName => {
+            if (!(secretName in values)) {
+                throw new Error(`${record.name} needs the secret ${secretName}; start or restart it from slave`);
+            }
+            return values[secretName];
+        });
+    }
+
+    _spawn(record) {
+        const { command, env } = this._command(record);
+        fs.mkdirSync(path.dirname(record.logFile), { recursive: true });
+        const log = new LogWriter(record.logFile, record.logRotation || undefined);
+
+        const child = spawn(command, {
+            cwd: record.cwd,
+            env: { ...process.env, ...(record.env || {}), ...env },
+            shell: true,
+            detached: true,
+            stdio: ['ignore', 'pipe', 'pipe'],
+            windowsHide: true
+        });
+
+        if (!child.pid) {
+            log.close();
+            throw new Error(`Could not start ${record.command}`);
+        }
+
+        // Output goes through the daemon so every line gets a timestamp and the file can rotate
+        child.stdout.setEncoding('utf8');
+        child.stderr.setEncoding('utf8');
+        child.stdout.on('data', chunk => log.write('out', chunk));
+        child.stderr.on('data', chunk => log.write('err', chunk));
+        child.on('close', () => log.close());
+
+        Object.assign(record, {
+            pid: child.pid,
+            status: 'running',
+            health: record.healthCheck ? 'starting' : null,
+            exitCode: null,
+            signal: null,
+            nextRestartAt: null,
+            startedAt: new Date().toISOString()
+        });
+        this.children.set(record.name, child);
+
+        child.on('exit', (code, signal) => this._exited(record.name, child.pid, code, signal));
+        child.on('error', () => this._exited(record.name, child.pid, null, null));
+
+        this.logger.info(`Process ${record.name} started (pid ${child.pid})`, { process: record.name, pid: child.pid, command: record.command });
+        this._startHealthChecks(record);
+        this._save();
+        return record;
+    }
+
+    start(spec) {
+        validateSpec(spec);
+        const { name, command, cwd, logFile, logRotation, env, restart, maxRetries, healthCheck, alerts, stack, secrets } = spec;
+
+        const existing = this.processes.get(name);
+        if (existing && isActive(existing)) {
+            throw new Error(`Process ${name} is already ${existing.status} (pid ${existing.pid})`);
+        }
+
+        const record = {
+            name,
+            command,
+            cwd,
+            logFile: logFile || defaultLogFile(name),
+            logRotation: logRotation || null,
+            env: env || {},
+            restart: restart || 'never',
+            maxRetries: maxRetries === undefined ? DEFAULT_MAX_RETRIES : maxRetries,
+            healthCheck: healthCheck || null,
+            alerts: alerts || {},
+            // set for services started by `stack up`
+            stack: stack || null,
+            restarts: 0,
+            retries: 0,
+            lastError: null
+        };
+        this.processes.set(name, record);
+        if (secrets) this.secrets.set(name, secrets);
+        return this._spawn(record);
+    }
+
+    async stop({ name }) {
+        const record = this.processes.get(name);
+        if (!record) {
+            throw new Error(`No process named ${name}`);
+        }
+        if (record.status === 'restarting') {
+            this._clearTimers(name);
+            Object.assign(record, { status: 'stopped', nextRestartAt: null, stoppedAt: new Date().toISOString() });
+            this._save();
+            return record;
+        }
+        if (record.status !== 'running') {
+            return record;
+        }
+
+        record.stopping = true;
+        killTree(record.pid, 'SIGTERM');
+
+        const deadline = Date.now() + STOP_TIMEOUT;
+        while (isAlive(record.pid) && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        if (isAlive(record.pid)) {
+            killTree(record.pid, 'SIGKILL');
+        }
+
+        // Wait for the exit event so the record is final; adopted processes have none
+        const exitDeadline = Date.now() + 1000;
+        while (this.children.has(name) && Date.now() < exitDeadline) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        if (record.status === 'running') {
+            this.children.delete(name);
+            this._exited(name, record.pid, null, 'SIGTERM');
+        }
+        return record;
+    }
+
+    // secrets: the values for the command's references, when the caller has them
+    async restart({ name, secrets }) {
+        const record = this.processes.get(name);
+        if (!record) {
+            throw new Error(`No process named ${name}`);
+        }
+        await this.stop({ name });
+        return this.start({ ...record, secrets });
+    }
+
+    remove({ name }) {
+        const record = this.processes.get(name);
+        if (!record) {
+            throw new Error(`No process named ${name}`);
+        }
+        if (isActive(record)) {
+            throw new Error(`Process ${name} is still ${record.status}; stop it first`);
+        }
+        this.processes.delete(name);
+        this.secrets.delete(name);
+        this._save();
+        return record;
+    }
+
+    list() {
+        return [...this.processes.values()];
+    }
+}
+
+// Daemon side: one request per line, one response per line
+function serve() {
+    // Echoed records end up in supervisor.log (the daemon's stdout)
+    const logger = new Logger({ fields: { source: 'supervisor' } });
+    const supervisor = new Supervisor(logger);
+    supervisor.load();
+
+    const methods = {
+        ping: () => ({ pid: process.pid }),
+        start: params => supervisor.start(params),
+        stop: params => supervisor.stop(params),
+        restart: params => supervisor.restart(params),
+        remove: params => supervisor.remove(params),
+        list: () => supervisor.list()
+    };
+
+    const server = net.createServer(socket => {
+        let buffer = '';
+        socket.setEncoding('utf8');
+        socket.on('error', () => {});
+        socket.on('data', async chunk => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 1);
+
+                let response;
+                try {
+                    const { id, method, params } = JSON.parse(line);
+                    if (!methods[method]) throw new Error(`Unknown supervisor request: ${method}`);
+                    response = { id, result: await methods[method](params || {}) };
+                } catch (error) {
+                    response = { error: error.message };
+                }
+                socket.write(JSON.stringify(response) + '\n');
+            }
+        });
+    });
+
+    const shutdown = () => {
+        server.close();
+        if (process.platform !== 'win32') {
+            try { fs.unlinkSync(socketPath); } catch (error) { /* already gone */ }
+        }
+        process.exit(0);
+    };
+    supervisor.onIdle = shutdown;
+    process.on('SIGTERM', shutdown);
+
+    // Threshold alerts go to the agent log while nobody is watching the dashboard
+    if (monitor.supported) {
+        const resources = new monitor.Monitor({ logger });
+        setInterval(() => {
+            const watched = supervisor.list().filter(record =>
+                record.status === 'running' && Object.values(record.alerts || {}).some(Boolean));
+            if (watched.length === 0) return;
+            try {
+                resources.sample(watched);
+            } catch (error) {
+                logger.error(`Monitor: ${error.message}`);
+            }
+        }, MONITOR_INTERVAL).unref();
+    }
+
+    server.on('error', error => {
+        logger.error(`Supervisor: ${error.message}`);
+        process.exit(1);
+    });
+
+    // A socket file left behind by a crashed daemon blocks listen()
+    const listen = () => server.listen(socketPath, () => {
+        logger.info(`Supervisor started (pid ${process.pid})`);
+    });
+    if (process.platform !== 'win32' && fs.existsSync(socketPath)) {
+        const probe = net.createConnection(socketPath);
+        probe.on('connect', () => {
+            probe.end();
+            logger.info('Another supervisor is already running');
+            process.exit(0);
+        });
+        probe.on('error', () => {
+            fs.unlinkSync(socketPath);
+            listen();
+        });
+    } else {
+        listen();
+    }
+}
+
+// Client side
+
+function send(method, params) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection(socketPath);
+        let buffer = '';
+
+        socket.setEncoding('utf8');
+        socket.setTimeout(STOP_TIMEOUT * 3, () => {
+            socket.destroy();
+            reject(new Error(`Supervisor did not answer ${method}`));
+        });
+        socket.on('connect', () => socket.write(JSON.stringify({ id: 1, method, params }) + '\n'));
+        socket.on('data', chunk => {
+            buffer += chunk;
+            const index = buffer.indexOf('\n');
+            if (index < 0) return;
+            socket.end();
+            const response = JSON.parse(buffer.slice(0, index));
+            if (response.error) {
+                reject(new Error(response.error));
+            } else {
+                resolve(response.result);
+            }
+        });
+        socket.on('error', reject);
+    });
+}
+
+async function startDaemon() {
+    fs.mkdirSync(supervisorDir, { recursive: true });
+    const fd = fs.openSync(daemonLog, 'a');
+    try {
+        spawn(process.execPath, [__filename, '--daemon'], {
+            detached: true,
+            stdio: ['ignore', fd, fd],
+            windowsHide: true
+        }).unref();
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    const deadline = Date.now() + 5000;
+    while (Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        try {
+            return await send('ping', {});
+        } catch (error) {
+            // not listening yet
+        }
+    }
+    throw new Error(`Supervisor did not start (see ${daemonLog})`);
+}
+
+function isNotRunning(error) {
+    return ['ECONNREFUSED', 'ENOENT'].includes(error.code);
+}
+
+async function request(method, params = {}) {
+    try {
+        return await send(method, params);
+    } catch (error) {
+        if (!isNotRunning(error)) throw error;
+        await startDaemon();
+        return send(method, params);
+    }
+}
+
+// Starts `command` under the supervisor; `name` must be unique among running processes
+function supervise(spec) {
+    return request('start', spec);
+}
+
+function stopSupervised(name) {
+    return request('stop', { name });
+}
+
+function restartSupervised(name, secrets) {
+    return request('restart', { name, secrets });
+}
+
+function removeSupervised(name) {
+    return request('remove', { name });
+}
+
+// Works without a running daemon by reading the state file
+async function listSupervised() {
+    try {
+        return await send('list', {});
+    } catch (error) {
+        if (!isNotRunning(error)) throw error;
+        return Object.values(readState()).map(record =>
+            record.status === 'running' && !isAlive(record.pid)
+                ? { ...record, status: 'exited', health: null }
+                : record
+        );
+    }
+}
+
+if (require.main === module && process.argv.includes('--daemon')) {
+    serve();
+}
+
+module.exports = {
+    supervisorDir,
+    RESTART_POLICIES,
+    supervise,
+    stopSupervised,
+    restartSupervised,
+    removeSupervised,
+    listSupervised,
+    checkHealth,
+    killTree
+};
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseArgs, parseScript } = require('../cli.js');
+
+test('run joins the words of an unquoted command', () => {
+    const { mode, target, options } = parseArgs(['run', 'git', 'init', 'karo', '--yes', '--timeout=30']);
+    assert.strictEqual(mode, 'run');
+    assert.strictEqual(target, 'git init karo');
+    assert.strictEqual(options.yes, true);
+    assert.strictEqual(options.timeout, 30);
+});
+
+test('no arguments starts the interactive shell', () => {
+    assert.strictEqual(parseArgs([]).mode, 'interactive');
+    assert.strictEqual(parseArgs(['--cwd', '/tmp']).options.cwd, '/tmp');
+    assert.strictEqual(parseArgs(['run', '-h']).mode, 'help');
+});
+
+test('invalid arguments are usage errors', () => {
+    assert.throws(() => parseArgs(['deploy']), /Unknown command: deploy/);
+    assert.throws(() => parseArgs(['run']), /needs a command/);
+    assert.throws(() => parseArgs(['exec']), /needs a file/);
+    assert.throws(() => parseArgs(['run', 'x', '--force']), /Unknown option: --force/);
+    assert.throws(() => parseArgs(['run', 'x', '--timeout', 'soon']), /--timeout needs a number/);
+    assert.throws(() => parseArgs(['--cwd']), /--cwd needs a directory/);
+});
+
+test('script files skip blank lines and comments', () => {
+    assert.deepStrictEqual(parseScript('# setup\ngit init karo\n\r\n  readme banao  \n'), ['git init karo', 'readme banao']);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { gitCommand, packageCommand, validateBranchName, validateRepository } = require('../commands.js');
+
+test('git commands are argument arrays', () => {
+    assert.deepStrictEqual(gitCommand({ action: 'init' }), { file: 'git', args: ['init'] });
+    assert.deepStrictEqual(
+        gitCommand({ action: 'commit', message: 'fix: "quotes" && rm -rf /' }),
+        { file: 'git', args: ['commit', '-m', 'fix: "quotes" && rm -rf /'] }
+    );
+    assert.deepStrictEqual(
+        gitCommand({ action: 'clone', repository: 'https://github.com/a/b.git' }),
+        { file: 'git', args: ['clone', '--', 'https://github.com/a/b.git'] }
+    );
+});
+
+test('branch names and repositories that git would misread are refused', () => {
+    for (const branch of ['--force', 'a..b', 'feature/', 'x y', 'main.lock', '']) {
+        assert.throws(() => validateBranchName(branch), /Invalid branch name/);
+    }
+    assert.strictEqual(validateBranchName('feature/login-2'), 'feature/login-2');
+    assert.strictEqual(validateBranchName('fix+docs'), 'fix+docs');
+    assert.throws(() => validateRepository('--upload-pack=touch /tmp/x'), /Invalid repository URL/);
+});
+
+test('a branch starting with + cannot turn a push into a force push', () => {
+    assert.throws(() => gitCommand({ action: 'push', branch: '+main' }), /Invalid branch name: \+main/);
+    assert.throws(() => gitCommand({ action: 'checkout', branch: '+main' }), /Invalid branch name/);
+    assert.deepStrictEqual(gitCommand({ action: 'push', branch: 'main' }), { file: 'git', args: ['push', 'origin', 'main'] });
+});
+
+test('npm package names may not start with a dash', () => {
+    assert.deepStrictEqual(
+        packageCommand({ manager: 'npm', action: 'install', packages: ['express@^4', '@types/node'], options: '--save-dev' }),
+        { file: 'npm', args: ['install', 'express@^4', '@types/node', '--save-dev'] }
+    );
+    for (const name of ['-g', '--prefix=/etc', 'a b', '@scope/-x']) {
+        assert.throws(() => packageCommand({ manager: 'npm', action: 'install', packages: [name] }), /Invalid npm package name/);
+    }
+});
+
+test('only known install options are passed on', () => {
+    for (const options of ['--global', '--prefix=/tmp', '--registry=https://evil.example', '-g']) {
+        assert.throws(() => packageCommand({ manager: 'npm', action: 'install', packages: ['x'], options }), /Option not allowed for npm install/);
+    }
+    assert.throws(() => packageCommand({ manager: 'pip', action: 'install', packages: ['x'], options: '--target=/usr' }), /Option not allowed for pip install/);
+    assert.deepStrictEqual(
+        packageCommand({ manager: 'pip', action: 'install', packages: ['requests[socks]>=2.0'], options: '-U' }),
+        { file: 'pip', args: ['install', 'requests[socks]>=2.0', '-U'] }
+    );
+});
+
+test('npm run passes script arguments after --', () => {
+    assert.deepStrictEqual(
+        packageCommand({ manager: 'npm', action: 'run', options: 'test -- --watch' }),
+        { file: 'npm', args: ['run', 'test', '--', '--watch'] }
+    );
+    assert.deepStrictEqual(
+        packageCommand({ manager: 'npm', action: 'run', options: 'build --prefix=/etc' }),
+        { file: 'npm', args: ['run', 'build', '--', '--prefix=/etc'] }
+    );
+    assert.throws(() => packageCommand({ manager: 'npm', action: 'run', options: '--prefix=/etc build' }), /Invalid npm script name/);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { PROJECT_FILE, Config } = require('../config.js');
+const { tempDir } = require('./helpers.js');
+
+async function setup(global, project) {
+    const dir = await tempDir();
+    const file = path.join(dir, 'config.json');
+    const cwd = path.join(dir, 'project', 'src');
+    await fs.mkdir(cwd, { recursive: true });
+    if (global) await fs.writeFile(file, JSON.stringify(global));
+    if (project) await fs.writeFile(path.join(dir, 'project', PROJECT_FILE), JSON.stringify(project));
+    return { file, cwd };
+}
+
+test('defaults apply when there is no config file', async () => {
+    const { file, cwd } = await setup();
+    const config = new Config({ file, env: {} });
+    const values = await config.load(cwd);
+
+    assert.deepStrictEqual(config.warnings, []);
+    assert.strictEqual(config.source('provider'), 'default');
+    assert.deepStrictEqual(values.exec, { output: 'collapse', lines: 8, timeout: 0 });
+});
+
+test('profile, project file and environment are layered in that order', async () => {
+    const { file, cwd } = await setup(
+        { language: 'hindi', activeProfile: 'work', profiles: { work: { language: 'english', autoSave: false } } },
+        { autoSave: true }
+    );
+    const config = new Config({ file, env: { SLAVESHELL_LOG_LEVEL: 'debug' } });
+    const values = await config.load(cwd);
+
+    assert.strictEqual(values.language, 'english');
+    assert.strictEqual(config.source('language'), 'profile work');
+    assert.strictEqual(values.autoSave, true);
+    assert.strictEqual(config.source('autoSave'), path.join(path.dirname(cwd), PROJECT_FILE));
+    assert.strictEqual(values.logLevel, 'debug');
+    assert.strictEqual(config.source('logLevel'), 'env SLAVESHELL_LOG_LEVEL');
+});
+
+test('a project file cannot set keys or roots', async () => {
+    const { file, cwd } = await setup({}, { apiKey: 'stolen', sandbox: { allowedRoots: ['/'], deniedGlobs: ['**/*.pem'] } });
+    const config = new Config({ file, env: {} });
+    const values = await config.load(cwd);
+
+    assert.notStrictEqual(values.apiKey, 'stolen');
+    assert.ok(!(values.sandbox.allowedRoots || []).includes('/'));
+    // denied globs from a project add to the inherited ones
+    assert.ok(values.sandbox.deniedGlobs.includes('**/*.pem'));
+    assert.ok(values.sandbox.deniedGlobs.includes('**/.git'));
+    assert.ok(config.warnings.some(warning => /apiKey, sandbox.allowedRoots can only be set/.test(warning)));
+});
+
+test('invalid settings are dropped with a warning, not fatal', async () => {
+    const { file, cwd } = await setup({ language: 'hindi', exec: { output: 'loud' } });
+    const config = new Config({ file, env: {} });
+    const values = await config.load(cwd);
+
+    assert.strictEqual(values.language, 'hindi');
+    assert.strictEqual(values.exec.output, 'collapse');
+    assert.ok(config.warnings.some(warning => warning.includes('exec.output')));
+});
+
+test('set writes to the active profile only', async () => {
+    const { file, cwd } = await setup({ language: 'hindi' });
+    const config = new Config({ file, env: {} });
+    await config.load(cwd);
+    await config.useProfile('work');
+    await config.set({ language: 'english' });
+
+    const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+    assert.strictEqual(saved.language, 'hindi');
+    assert.deepStrictEqual(saved.profiles.work, { language: 'english' });
+    await assert.rejects(config.set({ language: 42 }), /language/);
+});
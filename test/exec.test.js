@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { runCommand, runShell, recentOutputs, formatCommand, formatDuration } = require('../exec.js');
+
+test('a command that cannot be started is reported once', async () => {
+    const before = recentOutputs().length;
+    await assert.rejects(
+        runCommand({ file: 'slaveshell-no-such-program', args: [] }, { output: 'quiet' }),
+        /command not found: slaveshell-no-such-program/
+    );
+    // 'error' and 'close' both fire for a spawn error
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const steps = recentOutputs().slice(before);
+    assert.strictEqual(steps.length, 1);
+    assert.strictEqual(steps[0].status, 'failed');
+});
+
+test('output, exit codes and timeouts', async () => {
+    assert.strictEqual(await runCommand({ file: process.execPath, args: ['-e', 'console.log(" hi ")'] }, { output: 'quiet' }), 'hi');
+    await assert.rejects(
+        runCommand({ file: process.execPath, args: ['-e', 'console.error("bad"); process.exit(3)'] }, { output: 'quiet' }),
+        /Command failed \(exit code 3\)[\s\S]*bad/
+    );
+    await assert.rejects(
+        runCommand({ file: process.execPath, args: ['-e', 'setTimeout(() => {}, 10000)'] }, { output: 'quiet', timeout: 200 }),
+        error => error.timedOut === true
+    );
+});
+
+test('shell commands need approval', async () => {
+    await assert.rejects(runShell('echo hi', { output: 'quiet' }), /Refusing to run unapproved shell command/);
+    assert.strictEqual(await runShell('echo no | sed s/no/ok/', { output: 'quiet', approved: true }), 'ok');
+});
+
+test('commands are shown the way a shell would need them', () => {
+    assert.strictEqual(formatCommand({ file: 'git', args: ['commit', '-m', "it's done"] }), `git commit -m 'it'\\''s done'`);
+    assert.strictEqual(formatDuration(1500), '1.5s');
+    assert.strictEqual(formatDuration(125000), '2m 5s');
+});
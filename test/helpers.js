@@ -0,0 +1,19 @@
+// Shared test helpers. Directories made with tempDir() are removed once all
+// tests of the file that made them have run.
+const { after } = require('node:test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const dirs = [];
+
+after(() => Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+// The real path, so tests can compare it with what symlink-resolving code returns
+async function tempDir() {
+    const dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'slaveshell-test-')));
+    dirs.push(dir);
+    return dir;
+}
+
+module.exports = { tempDir };
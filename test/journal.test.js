@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const Journal = require('../journal.js');
+const { tempDir } = require('./helpers.js');
+
+async function exists(target) {
+    return fs.access(target).then(() => true, () => false);
+}
+
+test('undo reverts writes, creates, deletes, renames and new directories', async () => {
+    const work = await tempDir();
+    const journal = new Journal({ dir: path.join(await tempDir(), 'journal') });
+    const edited = path.join(work, 'edited.txt');
+    const removed = path.join(work, 'removed.txt');
+    const moved = path.join(work, 'moved.txt');
+    await fs.writeFile(edited, 'before');
+    await fs.writeFile(removed, 'keep me');
+    await fs.writeFile(moved, 'moving');
+
+    journal.begin('change things');
+    await journal.recordWrite(edited);
+    await fs.writeFile(edited, 'after');
+    await journal.recordMkdir(path.join(work, 'a', 'b'));
+    await fs.mkdir(path.join(work, 'a', 'b'), { recursive: true });
+    await journal.recordWrite(path.join(work, 'a', 'b', 'new.txt'));
+    await fs.writeFile(path.join(work, 'a', 'b', 'new.txt'), 'new');
+    await journal.recordDelete(removed);
+    await fs.rm(removed);
+    await journal.recordRename(moved, path.join(work, 'renamed.txt'));
+    await fs.rename(moved, path.join(work, 'renamed.txt'));
+    const transaction = await journal.commit();
+
+    assert.deepStrictEqual(transaction.entries.map(entry => entry.op), ['write', 'mkdir', 'mkdir', 'create', 'delete', 'rename']);
+
+    const [result] = await journal.undo();
+    assert.deepStrictEqual(result.failed, []);
+    assert.strictEqual(await fs.readFile(edited, 'utf8'), 'before');
+    assert.strictEqual(await fs.readFile(removed, 'utf8'), 'keep me');
+    assert.strictEqual(await fs.readFile(moved, 'utf8'), 'moving');
+    assert.strictEqual(await exists(path.join(work, 'renamed.txt')), false);
+    assert.strictEqual(await exists(path.join(work, 'a')), false);
+    assert.deepStrictEqual(await journal.list(), []);
+});
+
+test('undo never removes a directory something else has put files in', async () => {
+    const work = await tempDir();
+    const journal = new Journal({ dir: path.join(await tempDir(), 'journal') });
+    const created = path.join(work, 'project');
+
+    journal.begin('mkdir project');
+    await journal.recordMkdir(created);
+    await fs.mkdir(created);
+    await journal.commit();
+    await fs.writeFile(path.join(created, 'package.json'), '{}');
+
+    const [result] = await journal.undo();
+    assert.strictEqual(result.failed.length, 1);
+    assert.strictEqual(await exists(path.join(created, 'package.json')), true);
+});
+
+test('commands without file changes are not recorded, and old ones are pruned', async () => {
+    const work = await tempDir();
+    const journal = new Journal({ dir: path.join(await tempDir(), 'journal'), limit: 2 });
+
+    journal.begin('nothing');
+    assert.strictEqual(await journal.commit(), null);
+
+    for (const name of ['one', 'two', 'three']) {
+        journal.begin(`write ${name}`);
+        await journal.recordWrite(path.join(work, name));
+        await journal.commit();
+    }
+    assert.deepStrictEqual((await journal.list()).map(transaction => transaction.command), ['write three', 'write two']);
+});
+
+test('undo 0 is refused instead of reverting the whole journal', async () => {
+    const work = await tempDir();
+    const journal = new Journal({ dir: path.join(await tempDir(), 'journal') });
+    for (const name of ['a', 'b', 'c']) {
+        journal.begin(`write ${name}`);
+        await journal.recordWrite(path.join(work, name));
+        await fs.writeFile(path.join(work, name), name);
+        await journal.commit();
+    }
+
+    await assert.rejects(journal.undo(0), /at least 1/);
+    await assert.rejects(journal.undo(-2), /at least 1/);
+    assert.strictEqual((await journal.list()).length, 3);
+    assert.strictEqual(await exists(path.join(work, 'a')), true);
+});
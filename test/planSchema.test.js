@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validatePlan, parsePlanResponse } = require('../planSchema.js');
+
+function plan(...actions) {
+    return { type: 'file', actions, context: { description: 'test' } };
+}
+
+test('a valid plan has no errors', () => {
+    assert.deepStrictEqual(validatePlan(plan(
+        { type: 'file-operation', action: 'write', path: 'README.md', content: '# Hi\n' },
+        { type: 'git-operation', action: 'init' },
+        { type: 'package-operation', manager: 'npm', action: 'install', packages: ['express'] }
+    )), []);
+});
+
+test('missing fields are reported per action, as the repair prompt needs them', () => {
+    const errors = validatePlan(plan(
+        { type: 'file-operation', action: 'write', path: 'README.md' },
+        { type: 'file-operation', action: 'rename', path: 'a.txt' }
+    ));
+    assert.deepStrictEqual(errors, [
+        'plan.actions[0].content is required',
+        'plan.actions[1].newPath is required'
+    ]);
+});
+
+test('unknown actions, types and fields are reported', () => {
+    assert.deepStrictEqual(
+        validatePlan(plan({ type: 'file-operation', action: 'shred', path: 'a' })),
+        ['plan.actions[0].action must be one of: read, write, append, delete, rename, mkdir, rmdir, list, watch']
+    );
+    assert.deepStrictEqual(
+        validatePlan(plan({ type: 'teleport' })),
+        ['plan.actions[0].type "teleport" is not a supported type']
+    );
+    assert.deepStrictEqual(
+        validatePlan(plan({ type: 'file-operation', action: 'write', path: 'a', content: '', conent: 'x' })),
+        ['plan.actions[0].conent is not a known field']
+    );
+    assert.deepStrictEqual(
+        validatePlan(plan({ type: 'file-operation', action: 'delete', path: 'a', options: { recursve: true } })),
+        ['plan.actions[0].options.recursve is not a known field']
+    );
+});
+
+test('the top level must have type, context and at least one action', () => {
+    assert.deepStrictEqual(validatePlan({ actions: [] }).sort(), [
+        'plan.actions must NOT have fewer than 1 items',
+        'plan.context is required',
+        'plan.type is required'
+    ]);
+});
+
+test('parsePlanResponse finds the JSON in a chatty, slightly broken response', () => {
+    const response = 'Sure! Here is the plan:\n```json\n{"type": "file", "actions": [{"type": "git-operation", "action": "init",}], "context": {}}\n```\nDone.';
+    assert.deepStrictEqual(parsePlanResponse(response), {
+        type: 'file',
+        actions: [{ type: 'git-operation', action: 'init' }],
+        context: {}
+    });
+    assert.throws(() => parsePlanResponse('no plan here'), /JSON Parse Error/);
+});
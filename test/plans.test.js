@@ -0,0 +1,89 @@
+// Runs whole commands through `slave run` with the fake provider, so plans
+// come from fixtures/plans and are executed for real in a temporary directory.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const { tempDir } = require('./helpers.js');
+
+const SLAVE = path.join(__dirname, '..', 'index.js');
+
+// Resolves with { code, result, stderr }; result is the parsed --json output
+async function slave(args, home) {
+    const cwd = path.join(home, 'work');
+    await fs.mkdir(cwd, { recursive: true });
+
+    return new Promise(resolve => {
+        execFile(process.execPath, [SLAVE, ...args, '--json', '--cwd', cwd], {
+            env: { ...process.env, HOME: home, USERPROFILE: home, SLAVESHELL_PROVIDER: 'fake' },
+            timeout: 60000
+        }, (error, stdout, stderr) => {
+            let result = null;
+            try {
+                result = JSON.parse(stdout);
+            } catch (parseError) {
+                // no result on stdout, e.g. a usage error
+            }
+            resolve({ code: error ? error.code : 0, result, stderr, cwd });
+        });
+    });
+}
+
+test('git init creates a repository', async () => {
+    const home = await tempDir();
+    const { code, result, cwd } = await slave(['run', '--yes', 'git init karo'], home);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.actions.map(action => action.status), ['ok']);
+    assert.ok((await fs.stat(path.join(cwd, '.git'))).isDirectory());
+});
+
+test('a node project is set up with its files and package.json', async () => {
+    const home = await tempDir();
+    const { code, result, cwd } = await slave(['run', '--yes', 'ek node project banao'], home);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(result.success, true);
+    const project = path.join(cwd, 'node-app');
+    assert.strictEqual(await fs.readFile(path.join(project, 'src', 'index.js'), 'utf8'), "console.log('Hello from node-app');\n");
+    // npm init -y writes it; the name it picks varies between npm versions
+    const packageJson = JSON.parse(await fs.readFile(path.join(project, 'package.json'), 'utf8'));
+    assert.strictEqual(packageJson.version, '1.0.0');
+});
+
+test('an invalid plan is repaired before it runs', async () => {
+    // the first readme response lacks the content of the file
+    const home = await tempDir();
+    const { code, result, cwd } = await slave(['run', '--yes', 'readme file banao'], home);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(result.description, 'Create a README.md file');
+    assert.strictEqual(await fs.readFile(path.join(cwd, 'README.md'), 'utf8'), '# My Project\n');
+});
+
+test('--dry-run shows the plan without changing anything', async () => {
+    const home = await tempDir();
+    const { code, result, cwd } = await slave(['run', '--yes', '--dry-run', 'git init karo'], home);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(result.dryRun, true);
+    await assert.rejects(fs.stat(path.join(cwd, '.git')), { code: 'ENOENT' });
+});
+
+test('a command no fixture matches fails with exit code 1', async () => {
+    const home = await tempDir();
+    const { code, result } = await slave(['run', '--yes', 'deploy to mars'], home);
+
+    assert.strictEqual(code, 1);
+    assert.strictEqual(result.success, false);
+});
+
+test('without --yes nothing is run', async () => {
+    const home = await tempDir();
+    const { code, cwd } = await slave(['run', 'git init karo'], home);
+
+    assert.strictEqual(code, 3);
+    await assert.rejects(fs.stat(path.join(cwd, '.git')), { code: 'ENOENT' });
+});
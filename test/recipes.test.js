@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { findPlaceholders, parameterize, fillPlaceholders, parseParams } = require('../recipes.js');
+
+const plan = {
+    type: 'project',
+    actions: [
+        { type: 'exec', command: 'cd shop && npm install react' },
+        { type: 'file-operation', action: 'write', path: 'shop/server.js', content: 'listen(3000)' }
+    ]
+};
+
+test('parameterize replaces whole tokens only', () => {
+    const result = parameterize(plan, { name: 'shop', letter: 'a', port: '3000' });
+
+    assert.strictEqual(result.actions[0].command, 'cd {{name}} && npm install react');
+    assert.strictEqual(result.actions[1].path, '{{name}}/server.js');
+    assert.strictEqual(result.actions[1].content, 'listen({{port}})');
+});
+
+test('parameterize puts every value in one pass, longest first', () => {
+    const result = parameterize({ command: 'cp shop shop-api' }, { name: 'shop', api: 'shop-api' });
+    assert.strictEqual(result.command, 'cp {{name}} {{api}}');
+
+    // "name" must not be replaced inside the {{port}} just put in
+    const nested = parameterize({ command: 'serve port' }, { port: 'serve', name: 'port' });
+    assert.strictEqual(nested.command, '{{port}} {{name}}');
+});
+
+test('empty values leave the plan alone', () => {
+    assert.strictEqual(parameterize(plan, { name: '' }), plan);
+});
+
+test('placeholders are found and filled, with inline and saved defaults', () => {
+    const template = { command: 'cd {{name}} && PORT={{port|3000}} {{runner}} start' };
+
+    assert.deepStrictEqual(findPlaceholders(template).sort(), ['name', 'port', 'runner']);
+    assert.deepStrictEqual(
+        fillPlaceholders(template, { name: 'shop' }, { runner: 'npm' }),
+        { command: 'cd shop && PORT=3000 npm start' }
+    );
+    assert.throws(() => fillPlaceholders(template, {}), /Missing values for: name, runner/);
+});
+
+test('parseParams reads name=value pairs', () => {
+    assert.deepStrictEqual(parseParams(['name=shop', 'url=http://x?a=b']), { name: 'shop', url: 'http://x?a=b' });
+    assert.throws(() => parseParams(['shop']), /Expected name=value/);
+    assert.throws(() => parseParams(['=shop']), /Expected name=value/);
+});
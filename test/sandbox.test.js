@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { DEFAULT_DENIED_GLOBS, createPolicy, checkPath } = require('../sandbox.js');
+const { tempDir } = require('./helpers.js');
+
+test('paths inside the current directory are allowed', async () => {
+    const cwd = await tempDir();
+    const policy = createPolicy({}, cwd);
+
+    assert.strictEqual(await checkPath(policy, path.join(cwd, 'src', 'index.js'), 'write'), path.join(cwd, 'src', 'index.js'));
+});
+
+test('paths outside the allowed roots are refused', async () => {
+    const cwd = await tempDir();
+    const policy = createPolicy({}, cwd);
+
+    await assert.rejects(checkPath(policy, path.join(cwd, '..', 'elsewhere'), 'write'), /outside the allowed roots/);
+});
+
+test('configured roots and the projects directory are allowed', async () => {
+    const cwd = await tempDir();
+    const projects = await tempDir();
+    const extra = await tempDir();
+    const policy = createPolicy({ defaultProjectsDir: projects, sandbox: { allowedRoots: [extra] } }, cwd);
+
+    assert.deepStrictEqual(policy.allowedRoots, [cwd, projects, extra]);
+    await checkPath(policy, path.join(projects, 'shop'), 'mkdir');
+    await checkPath(policy, path.join(extra, 'notes.txt'), 'write');
+});
+
+test('denied globs are refused even inside a root', async () => {
+    const cwd = await tempDir();
+    const policy = createPolicy({}, cwd);
+
+    assert.ok(DEFAULT_DENIED_GLOBS.includes('**/.git/**'));
+    await assert.rejects(checkPath(policy, path.join(cwd, '.git', 'config'), 'write'), /denied pattern/);
+
+    const custom = createPolicy({ sandbox: { deniedGlobs: ['**/*.pem'] } }, cwd);
+    await assert.rejects(checkPath(custom, path.join(cwd, 'keys', 'server.pem'), 'read'), /denied pattern/);
+    await checkPath(custom, path.join(cwd, 'keys', 'server.pub'), 'read');
+});
+
+test("the agent's own state is denied by default, even from the home directory", async () => {
+    const policy = createPolicy({}, os.homedir());
+
+    for (const target of ['~/.slaveshell', '~/.slaveshell/secrets.json', '~/.slaveshell/journal/trash/x/0', '~/.slaveshell/supervisor/processes.json', '~/.ai-agent-config.json']) {
+        await assert.rejects(checkPath(policy, target, 'delete'), /denied pattern/);
+    }
+    await checkPath(policy, '~/notes.txt', 'write');
+});
+
+test('an allowed root itself cannot be deleted or renamed', async () => {
+    const cwd = await tempDir();
+    const policy = createPolicy({}, cwd);
+
+    for (const action of ['delete', 'rmdir', 'rename']) {
+        await assert.rejects(checkPath(policy, cwd, action), /allowed root itself/);
+    }
+    assert.strictEqual(await checkPath(policy, cwd, 'list'), cwd);
+    assert.strictEqual(await checkPath(policy, path.join(cwd, 'old'), 'delete'), path.join(cwd, 'old'));
+});
+
+test('a symlink that leaves the roots is refused', async () => {
+    const cwd = await tempDir();
+    const outside = await tempDir();
+    await fs.symlink(outside, path.join(cwd, 'link'));
+    const policy = createPolicy({}, cwd);
+
+    await assert.rejects(checkPath(policy, path.join(cwd, 'link', 'file.txt'), 'write'), /symlink points outside/);
+});
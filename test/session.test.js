@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const Session = require('../session.js');
+const { tempDir } = require('./helpers.js');
+
+async function sessionWith(count) {
+    const session = new Session({ dir: await tempDir() });
+    for (let i = 1; i <= count; i++) {
+        await session.add({ command: `command ${i}`, cwd: '/work', outcome: 'ok', effects: [`wrote file${i}.txt`] });
+    }
+    return session;
+}
+
+test('the prompt has the most recent turns, oldest first', async () => {
+    const session = await sessionWith(4);
+    const prompt = session.toPrompt({ maxTurns: 2 });
+
+    assert.strictEqual(prompt.turns, 2);
+    assert.ok(prompt.text.startsWith('1. "command 3"'));
+    assert.ok(prompt.text.includes('2. "command 4"'));
+    assert.ok(!prompt.text.includes('command 2'));
+});
+
+test('maxTurns 0 sends no history at all', async () => {
+    const session = await sessionWith(3);
+    assert.strictEqual(session.toPrompt({ maxTurns: 0 }), null);
+    assert.strictEqual(session.toPrompt({ maxTurns: -1 }), null);
+});
+
+test('older turns are dropped to stay within the token budget', async () => {
+    const session = await sessionWith(5);
+    const all = session.toPrompt({ maxTurns: 5, maxTokens: 10000 });
+    const limited = session.toPrompt({ maxTurns: 5, maxTokens: 40 });
+
+    assert.strictEqual(all.turns, 5);
+    assert.ok(limited.turns < 5 && limited.turns > 0);
+    assert.ok(limited.text.includes('"command 5"'));
+});
+
+test('a single turn over the budget is cut, not dropped', async () => {
+    const session = new Session({ dir: await tempDir() });
+    await session.add({ command: 'x'.repeat(400), cwd: '/work', outcome: 'ok' });
+
+    const prompt = session.toPrompt({ maxTokens: 10 });
+    assert.strictEqual(prompt.turns, 1);
+    assert.strictEqual(prompt.text.length, 40);
+});
+
+test('an empty session gives no prompt', async () => {
+    const session = new Session({ dir: await tempDir() });
+    assert.strictEqual(session.toPrompt(), null);
+});
+
+test('saved sessions load back and keep saving new turns', async () => {
+    const session = await sessionWith(2);
+    await session.save('feature-x');
+    await session.add({ command: 'command 3', cwd: '/work', outcome: 'failed', error: 'boom\nstack' });
+
+    const loaded = new Session({ dir: session.dir });
+    await loaded.load('feature-x');
+    assert.strictEqual(loaded.turns.length, 3);
+    assert.ok(loaded.toPrompt().text.includes('error: boom'));
+    assert.deepStrictEqual((await loaded.list()).map(entry => [entry.name, entry.turns]), [['feature-x', 3]]);
+    await assert.rejects(loaded.load('missing'), /No saved session named missing/);
+    await assert.rejects(loaded.save('../escape'), /Session names may only contain/);
+});
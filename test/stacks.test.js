@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startOrder, selectStack, processName, serviceEnv } = require('../stacks.js');
+
+const services = {
+    web: { command: 'npm start', dependsOn: ['api'] },
+    api: { command: 'node api.js', dependsOn: ['db', 'cache'] },
+    db: { command: 'mongod' },
+    cache: { command: 'redis-server' },
+    docs: { command: 'npm run docs' }
+};
+
+test('services start after their dependencies', () => {
+    assert.deepStrictEqual(startOrder(services), ['db', 'cache', 'api', 'web', 'docs']);
+});
+
+test('a subset brings along what it depends on', () => {
+    assert.deepStrictEqual(startOrder(services, ['api']), ['db', 'cache', 'api']);
+    assert.deepStrictEqual(startOrder(services, ['docs']), ['docs']);
+});
+
+test('unknown services and cycles are reported', () => {
+    assert.throws(() => startOrder(services, ['worker']), /No service named worker/);
+    assert.throws(() => startOrder({ a: { dependsOn: ['b'] } }), /Service a depends on unknown service b/);
+    assert.throws(
+        () => startOrder({ a: { dependsOn: ['b'] }, b: { dependsOn: ['c'] }, c: { dependsOn: ['a'] } }),
+        /Dependency cycle: a -> b -> c -> a/
+    );
+});
+
+test('a stack can be left unnamed only when there is one', () => {
+    const one = { file: 'slaveshell.stacks.json', stacks: { dev: { services } } };
+    assert.strictEqual(selectStack(one).name, 'dev');
+
+    const two = { file: 'slaveshell.stacks.json', stacks: { dev: { services }, test: { services } } };
+    assert.throws(() => selectStack(two), /Name a stack: dev, test/);
+    assert.throws(() => selectStack(two, 'prod'), /No stack named prod/);
+});
+
+test('service names and environments', () => {
+    assert.strictEqual(processName('dev', 'api'), 'dev.api');
+    assert.deepStrictEqual(
+        serviceEnv({ env: { NODE_ENV: 'development', PORT: 3000 } }, { env: { PORT: 4000 } }),
+        { NODE_ENV: 'development', PORT: '4000' }
+    );
+});
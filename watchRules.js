@@ -0,0 +1,211 @@
+// watchRules.js
+// Watch rules: a path, an optional glob inside it, the events to react to
+// (add/change/unlink) and a trigger to run when matching files change: a shell
+// command, a restart of a managed process or a saved recipe. Changes are
+// debounced, so saving ten files at once triggers one run, and a rule never
+// runs twice at the same time; changes that arrive during a run queue one more.
+const fs = require('fs');
+const path = require('path');
+const chokidar = require('chokidar');
+const picomatch = require('picomatch');
+
+const WATCH_EVENTS = ['add', 'change', 'unlink'];
+const DEFAULT_EVENTS = ['add', 'change'];
+const DEFAULT_DEBOUNCE = 300;
+const TRIGGER_TYPES = ['command', 'restart', 'recipe'];
+
+// "src/**/*.js" -> { base: "src", glob: "**/*.js" }; plain paths have no glob
+function splitGlob(target) {
+    const { base, glob, isGlob } = picomatch.scan(target);
+    return isGlob ? { base: base || '.', glob } : { base: target, glob: null };
+}
+
+function validateRule({ events, debounce, trigger }) {
+    for (const event of events) {
+        if (!WATCH_EVENTS.includes(event)) {
+            throw new Error(`Unknown watch event: ${event} (use ${WATCH_EVENTS.join(', ')})`);
+        }
+    }
+    if (!(debounce >= 0)) {
+        throw new Error('debounce must be a number of milliseconds');
+    }
+    if (trigger) {
+        if (!TRIGGER_TYPES.includes(trigger.type)) {
+            throw new Error(`Unknown watch trigger: ${trigger.type} (use ${TRIGGER_TYPES.join(', ')})`);
+        }
+        const field = { command: 'command', restart: 'process', recipe: 'recipe' }[trigger.type];
+        if (!trigger[field]) {
+            throw new Error(`A ${trigger.type} trigger needs ${field}`);
+        }
+    }
+}
+
+function describeTrigger(trigger) {
+    if (!trigger) return 'print changes';
+    switch(trigger.type) {
+        case 'command':
+            return `run: ${trigger.command}`;
+        case 'restart':
+            return `restart ${trigger.process}`;
+        default: {
+            const params = Object.entries(trigger.params || {}).map(([key, value]) => ` ${key}=${value}`).join('');
+            return `recipe ${trigger.recipe}${params}`;
+        }
+    }
+}
+
+// watch <path or glob> [--on add,change,unlink] [--debounce 500]
+//       [--run <command ...> | --restart <process> | --recipe <name> [key=value ...]]
+// Everything after --run is the command, so it needs no quoting.
+function parseWatchArgs(args) {
+    const spec = { target: null, events: DEFAULT_EVENTS, debounce: DEFAULT_DEBOUNCE, trigger: null };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+            return args[++i];
+        };
+        switch(arg) {
+            case '--on':
+                spec.events = value().split(',').map(event => event.trim()).filter(Boolean);
+                break;
+            case '--debounce':
+                spec.debounce = Number(value());
+                break;
+            case '--run':
+                spec.trigger = { type: 'command', command: args.slice(i + 1).join(' ') };
+                i = args.length;
+                break;
+            case '--restart':
+                spec.trigger = { type: 'restart', process: value() };
+                break;
+            case '--recipe': {
+                const params = {};
+                const recipe = value();
+                for (const pair of args.slice(i + 1)) {
+                    const [key, ...rest] = pair.split('=');
+                    if (rest.length === 0) throw new Error(`Recipe parameters must look like key=value: ${pair}`);
+                    params[key] = rest.join('=');
+                }
+                spec.trigger = { type: 'recipe', recipe, params };
+                i = args.length;
+                break;
+            }
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+                if (spec.target) throw new Error(`Only one path or glob per rule (got ${spec.target} and ${arg})`);
+                spec.target = arg;
+        }
+    }
+
+    if (!spec.target) {
+        throw new Error('Usage: watch <path or glob> [--on add,change,unlink] [--debounce ms] [--run <command> | --restart <process> | --recipe <name> [key=value ...]]');
+    }
+    return spec;
+}
+
+class WatchRule {
+    // root: absolute path to watch; glob: matched against paths relative to root;
+    // onTrigger(rule, changes) runs the trigger and may throw; approvedPlan:
+    // for recipe triggers, a hash of the recipe plan approved with the rule
+    constructor(id, { root, glob, events = DEFAULT_EVENTS, debounce = DEFAULT_DEBOUNCE, trigger = null, cwd, approvedPlan = null }, onTrigger) {
+        validateRule({ events, debounce, trigger });
+
+        this.id = id;
+        this.root = root;
+        this.glob = glob || null;
+        this.events = events;
+        this.debounce = debounce;
+        this.trigger = trigger;
+        this.cwd = cwd;
+        this.approvedPlan = approvedPlan;
+        this.runs = 0;
+        this.lastRun = null;
+        this.lastError = null;
+        this.pending = [];
+        this.timer = null;
+        this.running = false;
+        this.queued = false;
+        this.onTrigger = onTrigger;
+
+        const isFile = fs.existsSync(root) && fs.statSync(root).isFile();
+        const isMatch = this.glob ? picomatch(this.glob) : () => true;
+        this.matches = relative => isFile || isMatch(relative);
+
+        this.watcher = chokidar.watch(root, {
+            // dot files and node_modules below the watched path
+            ignored: file => path.relative(root, file).split(path.sep).some(part => part.startsWith('.') || part === 'node_modules'),
+            ignoreInitial: true,
+            persistent: true
+        });
+        for (const event of events) {
+            this.watcher.on(event, file => this._changed(event, file));
+        }
+        this.watcher.on('error', error => {
+            this.lastError = error.message;
+        });
+    }
+
+    _changed(event, file) {
+        const relative = path.relative(this.root, file).split(path.sep).join('/') || path.basename(file);
+        if (!this.matches(relative)) return;
+
+        this.pending.push({ event, path: relative });
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this._fire(), this.debounce);
+    }
+
+    async _fire() {
+        if (this.running) {
+            this.queued = true;
+            return;
+        }
+        const changes = this.pending;
+        this.pending = [];
+        this.running = true;
+        this.runs++;
+        this.lastRun = new Date();
+
+        try {
+            await this.onTrigger(this, changes);
+            this.lastError = null;
+        } catch (error) {
+            this.lastError = error.message;
+        } finally {
+            this.running = false;
+            if (this.queued) {
+                this.queued = false;
+                if (this.pending.length > 0) this._fire();
+            }
+        }
+    }
+
+    describe() {
+        return {
+            id: this.id,
+            path: this.root,
+            glob: this.glob || '*',
+            events: this.events.join(','),
+            debounce: `${this.debounce}ms`,
+            action: describeTrigger(this.trigger),
+            runs: this.runs,
+            lastRun: this.lastRun ? this.lastRun.toLocaleTimeString() : '-',
+            lastError: this.lastError || '-'
+        };
+    }
+
+    close() {
+        clearTimeout(this.timer);
+        return this.watcher.close();
+    }
+}
+
+module.exports = {
+    WATCH_EVENTS,
+    DEFAULT_DEBOUNCE,
+    splitGlob,
+    parseWatchArgs,
+    describeTrigger,
+    WatchRule
+};